@@ -5,6 +5,7 @@
 
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { ThemeProvider } from './context/ThemeContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
 import Layout from './components/Layout';
 
 // Page imports
@@ -17,6 +18,7 @@ import Visualizer from './pages/Visualizer';
 import Outliers from './pages/Outliers';
 import GradientDescentPage from './pages/GradientDescentPage';
 import MultipleRegression from './pages/MultipleRegression';
+import PolynomialRegression from './pages/PolynomialRegression';
 
 import Regularization from './pages/Regularization';
 import About from './pages/About';
@@ -26,37 +28,40 @@ import './index.css';
 
 /**
  * Main App Component
- * Sets up routing and theme provider
+ * Sets up routing, theme and workspace providers
  */
 function App() {
   return (
     <ThemeProvider>
       <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<Layout />}>
-            {/* Introduction / Home */}
-            <Route index element={<Introduction />} />
+        <WorkspaceProvider>
+          <Routes>
+            <Route path="/" element={<Layout />}>
+              {/* Introduction / Home */}
+              <Route index element={<Introduction />} />
 
-            {/* Core Theory */}
-            <Route path="math" element={<MathFormulation />} />
-            <Route path="cost" element={<CostFunctions />} />
-            <Route path="optimization" element={<Optimization />} />
-            <Route path="metrics" element={<Metrics />} />
+              {/* Core Theory */}
+              <Route path="math" element={<MathFormulation />} />
+              <Route path="cost" element={<CostFunctions />} />
+              <Route path="optimization" element={<Optimization />} />
+              <Route path="metrics" element={<Metrics />} />
 
-            {/* Interactive Components */}
-            <Route path="visualizer" element={<Visualizer />} />
-            <Route path="outliers" element={<Outliers />} />
-            <Route path="gradient" element={<GradientDescentPage />} />
+              {/* Interactive Components */}
+              <Route path="visualizer" element={<Visualizer />} />
+              <Route path="outliers" element={<Outliers />} />
+              <Route path="gradient" element={<GradientDescentPage />} />
 
-            {/* Advanced Topics */}
-            <Route path="multiple" element={<MultipleRegression />} />
+              {/* Advanced Topics */}
+              <Route path="multiple" element={<MultipleRegression />} />
+              <Route path="polynomial" element={<PolynomialRegression />} />
 
-            <Route path="regularization" element={<Regularization />} />
+              <Route path="regularization" element={<Regularization />} />
 
-            {/* About */}
-            <Route path="about" element={<About />} />
-          </Route>
-        </Routes>
+              {/* About */}
+              <Route path="about" element={<About />} />
+            </Route>
+          </Routes>
+        </WorkspaceProvider>
       </BrowserRouter>
     </ThemeProvider>
   );
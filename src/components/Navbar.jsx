@@ -1,10 +1,11 @@
 /**
  * Navigation Component
- * Main navigation header with tabs and theme toggle
+ * Main navigation header with tabs, workspaces menu and theme toggle
  */
 
 import { NavLink } from 'react-router-dom';
 import { useTheme } from '../context/ThemeContext';
+import WorkspaceMenu from './WorkspaceMenu';
 import { Sun, Moon, GraduationCap } from 'lucide-react';
 import './Navbar.css';
 
@@ -19,6 +20,7 @@ const navItems = [
     { path: '/outliers', label: 'Outliers' },
     { path: '/gradient', label: 'Gradient Descent' },
     { path: '/multiple', label: 'Multiple Regression' },
+    { path: '/polynomial', label: 'Polynomial' },
     { path: '/regularization', label: 'Regularization' },
 ];
 
@@ -52,6 +54,9 @@ const Navbar = () => {
                     </div>
                 </nav>
 
+                {/* Workspaces */}
+                <WorkspaceMenu />
+
                 {/* Theme Toggle */}
                 <button
                     className="theme-toggle"
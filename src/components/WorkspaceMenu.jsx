@@ -0,0 +1,220 @@
+/**
+ * Workspace Menu Component
+ * Navbar dropdown for saving, loading and sharing named workspaces
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useWorkspaces } from '../hooks/useWorkspaces';
+import { downloadFile, toJson } from '../utils/exportData';
+import { FolderOpen, Save, Pencil, Trash2, Download, Upload, Check, X } from 'lucide-react';
+import './WorkspaceMenu.css';
+
+const WorkspaceMenu = () => {
+    const {
+        workspaces,
+        activeId,
+        saveWorkspace,
+        updateWorkspace,
+        loadWorkspace,
+        renameWorkspace,
+        deleteWorkspace,
+        exportWorkspaces,
+        importWorkspaces,
+    } = useWorkspaces();
+
+    const [isOpen, setIsOpen] = useState(false);
+    const [newName, setNewName] = useState('');
+    const [editing, setEditing] = useState(null); // { id, name }
+    const [message, setMessage] = useState(null);
+    const menuRef = useRef(null);
+    const fileRef = useRef(null);
+
+    // Close when clicking outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handleClick = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        saveWorkspace(newName);
+        setNewName('');
+        setMessage('Workspace saved');
+    };
+
+    const commitRename = () => {
+        renameWorkspace(editing.id, editing.name);
+        setEditing(null);
+    };
+
+    const exportFile = (ids, filename) => {
+        downloadFile(filename, toJson(exportWorkspaces(ids)), 'application/json');
+    };
+
+    const handleImport = (file) => {
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                const count = importWorkspaces(JSON.parse(text));
+                setMessage(`Imported ${count} workspace${count === 1 ? '' : 's'}`);
+            })
+            .catch(err => {
+                setMessage(err instanceof SyntaxError ? 'This file is not valid JSON.' : err.message);
+            });
+    };
+
+    const fileName = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'workspace'}.json`;
+
+    return (
+        <div className="workspace-menu" ref={menuRef}>
+            <button
+                className={`theme-toggle ${isOpen ? 'active' : ''}`}
+                onClick={() => setIsOpen(!isOpen)}
+                aria-label="Workspaces"
+                aria-expanded={isOpen}
+                title="Workspaces"
+            >
+                <FolderOpen size={20} />
+            </button>
+
+            {isOpen && (
+                <div className="workspace-panel">
+                    <h4>Workspaces</h4>
+                    <p className="workspace-hint">
+                        Your current work is saved automatically. Save a workspace to keep a named copy of every page.
+                    </p>
+
+                    <form className="workspace-save" onSubmit={handleSave}>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="Workspace name"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                        />
+                        <button type="submit" className="btn btn-sm btn-primary">
+                            <Save size={14} /> Save
+                        </button>
+                    </form>
+
+                    {workspaces.length === 0 ? (
+                        <p className="workspace-empty">No saved workspaces yet.</p>
+                    ) : (
+                        <ul className="workspace-list">
+                            {workspaces.map(workspace => (
+                                <li
+                                    key={workspace.id}
+                                    className={`workspace-item ${workspace.id === activeId ? 'active' : ''}`}
+                                >
+                                    {editing?.id === workspace.id ? (
+                                        <div className="workspace-rename">
+                                            <input
+                                                type="text"
+                                                className="form-input"
+                                                value={editing.name}
+                                                autoFocus
+                                                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                                onKeyDown={(e) => {
+                                                    if (e.key === 'Enter') commitRename();
+                                                    if (e.key === 'Escape') setEditing(null);
+                                                }}
+                                            />
+                                            <button className="workspace-action" onClick={commitRename} title="Save name">
+                                                <Check size={14} />
+                                            </button>
+                                            <button className="workspace-action" onClick={() => setEditing(null)} title="Cancel">
+                                                <X size={14} />
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            <button
+                                                className="workspace-name"
+                                                onClick={() => {
+                                                    loadWorkspace(workspace.id);
+                                                    setMessage(`Loaded "${workspace.name}"`);
+                                                }}
+                                                title="Load this workspace"
+                                            >
+                                                <span>{workspace.name}</span>
+                                                <small>{new Date(workspace.savedAt).toLocaleString()}</small>
+                                            </button>
+                                            <div className="workspace-actions">
+                                                <button
+                                                    className="workspace-action"
+                                                    onClick={() => {
+                                                        updateWorkspace(workspace.id);
+                                                        setMessage(`Updated "${workspace.name}"`);
+                                                    }}
+                                                    title="Overwrite with the current state"
+                                                >
+                                                    <Save size={14} />
+                                                </button>
+                                                <button
+                                                    className="workspace-action"
+                                                    onClick={() => setEditing({ id: workspace.id, name: workspace.name })}
+                                                    title="Rename"
+                                                >
+                                                    <Pencil size={14} />
+                                                </button>
+                                                <button
+                                                    className="workspace-action"
+                                                    onClick={() => exportFile([workspace.id], fileName(workspace.name))}
+                                                    title="Export to a file"
+                                                >
+                                                    <Download size={14} />
+                                                </button>
+                                                <button
+                                                    className="workspace-action danger"
+                                                    onClick={() => deleteWorkspace(workspace.id)}
+                                                    title="Delete"
+                                                >
+                                                    <Trash2 size={14} />
+                                                </button>
+                                            </div>
+                                        </>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className="workspace-footer">
+                        <button className="btn btn-sm btn-secondary" onClick={() => fileRef.current?.click()}>
+                            <Upload size={14} /> Import
+                        </button>
+                        <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => exportFile(null, 'workspaces.json')}
+                            disabled={workspaces.length === 0}
+                        >
+                            <Download size={14} /> Export All
+                        </button>
+                        <input
+                            ref={fileRef}
+                            type="file"
+                            accept=".json,application/json"
+                            hidden
+                            onChange={(e) => {
+                                handleImport(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                        />
+                    </div>
+
+                    {message && <p className="workspace-message">{message}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WorkspaceMenu;
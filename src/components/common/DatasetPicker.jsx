@@ -0,0 +1,46 @@
+/**
+ * Dataset Picker Component
+ * Chooses one of the bundled datasets and describes it: what it shows,
+ * the units of both variables, its size and where it comes from
+ */
+
+import { Database } from 'lucide-react';
+import { datasets, getDataset, axisTitle } from '../../data/datasets';
+import './DatasetPicker.css';
+
+const DatasetPicker = ({ value, onChange, emptyLabel = 'Choose a dataset…' }) => {
+    const dataset = value ? getDataset(value) : null;
+
+    return (
+        <div className="dataset-picker">
+            <label className="dataset-picker-select">
+                <Database size={14} />
+                <span className="dataset-picker-label">Dataset</span>
+                <select
+                    className="form-input"
+                    value={dataset ? dataset.id : ''}
+                    onChange={(e) => onChange(e.target.value || null)}
+                >
+                    <option value="">{emptyLabel}</option>
+                    {datasets.map(d => (
+                        <option key={d.id} value={d.id}>{d.name}</option>
+                    ))}
+                </select>
+            </label>
+
+            {dataset && (
+                <div className="dataset-details">
+                    <p className="dataset-description">{dataset.description}</p>
+                    <div className="dataset-meta">
+                        <span><strong>x:</strong> {axisTitle(dataset.x)}</span>
+                        <span><strong>y:</strong> {axisTitle(dataset.y)}</span>
+                        <span><strong>n:</strong> {dataset.points.length}</span>
+                        <span className="dataset-source">{dataset.source}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DatasetPicker;
@@ -0,0 +1,42 @@
+/**
+ * Export Buttons Component
+ * A row of download buttons, one per export format
+ */
+
+import { Download } from 'lucide-react';
+import { downloadFile } from '../../utils/exportData';
+import './ExportButtons.css';
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+};
+
+/**
+ * @param {Array} exports - [{ label, filename, build: () => string }]; the
+ *                          format is taken from the filename extension
+ */
+const ExportButtons = ({ exports, label = 'Export' }) => {
+    const handleExport = ({ filename, build }) => {
+        const extension = filename.split('.').pop();
+        downloadFile(filename, build(), MIME_TYPES[extension]);
+    };
+
+    return (
+        <div className="export-buttons">
+            <span className="export-label">{label}</span>
+            {exports.map(item => (
+                <button
+                    key={item.filename}
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => handleExport(item)}
+                    title={`Download ${item.filename}`}
+                >
+                    <Download size={14} /> {item.label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default ExportButtons;
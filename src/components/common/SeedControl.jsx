@@ -0,0 +1,61 @@
+/**
+ * Seed Control Component
+ * Shows the dataset seed with buttons to draw a new one and copy a
+ * shareable link that reproduces the same data
+ */
+
+import { useState, useEffect } from 'react';
+import { Dices, Link, Check } from 'lucide-react';
+import { randomSeed } from '../../utils/random';
+import './SeedControl.css';
+
+const SeedControl = ({ seed, onChange, label = 'Seed' }) => {
+    const [copied, setCopied] = useState(false);
+
+    // Reset the "Copied" confirmation after a moment
+    useEffect(() => {
+        if (!copied) return undefined;
+        const timer = setTimeout(() => setCopied(false), 1500);
+        return () => clearTimeout(timer);
+    }, [copied]);
+
+    const handleInput = (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (Number.isInteger(value) && value > 0) onChange(value);
+    };
+
+    const copyLink = () => {
+        navigator.clipboard?.writeText(window.location.href).then(() => setCopied(true));
+    };
+
+    return (
+        <div className="seed-control">
+            <span className="seed-label">{label}</span>
+            <input
+                type="number"
+                className="form-input seed-input"
+                min="1"
+                step="1"
+                value={seed}
+                onChange={handleInput}
+                aria-label={label}
+            />
+            <button
+                className="btn btn-sm btn-secondary btn-icon"
+                onClick={() => onChange(randomSeed())}
+                title="Draw a new seed"
+            >
+                <Dices size={14} />
+            </button>
+            <button
+                className="btn btn-sm btn-secondary btn-icon"
+                onClick={copyLink}
+                title="Copy a link that reproduces this dataset"
+            >
+                {copied ? <Check size={14} /> : <Link size={14} />}
+            </button>
+        </div>
+    );
+};
+
+export default SeedControl;
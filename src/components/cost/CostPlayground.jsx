@@ -7,28 +7,39 @@
  * - Learning rate visualization
  */
 
-import { useState, useMemo, useCallback } from 'react';
+import { useMemo, useCallback } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../../context/ThemeContext';
+import { useSeed } from '../../hooks/useSeed';
+import { useUrlState, codecs, oneOf } from '../../hooks/useUrlState';
+import SeedControl from '../common/SeedControl';
+import ExportButtons from '../common/ExportButtons';
 import {
     calculateMSE,
     calculateMAE,
+    calculateAllMetrics,
     generateSampleDataset,
     generateCostSurface,
     formatNumber,
 } from '../../utils/regressionMath';
+import { randomSeed } from '../../utils/random';
+import { toCsv, toJson, pointsWithPredictions } from '../../utils/exportData';
 import { Play, Pause, RotateCcw, Shuffle } from 'lucide-react';
 import './CostPlayground.css';
 
+// Loss functions the playground can plot
+const LOSS_TYPES = oneOf(['mse', 'mae']);
+
 const CostPlayground = () => {
     const { isDark } = useTheme();
 
     // State
-    const [points, setPoints] = useState(() => generateSampleDataset('linear', 15));
-    const [weight, setWeight] = useState(1.5);
-    const [bias, setBias] = useState(2);
-    const [lossType, setLossType] = useState('mse'); // 'mse' or 'mae'
-    const [showSurface, setShowSurface] = useState(true);
+    const [seed, setSeed] = useSeed();
+    const points = useMemo(() => generateSampleDataset('linear', 15, seed), [seed]);
+    const [weight, setWeight] = useUrlState('w', 1.5, codecs.number);
+    const [bias, setBias] = useUrlState('b', 2, codecs.number);
+    const [lossType, setLossType] = useUrlState('loss', 'mse', LOSS_TYPES); // 'mse' or 'mae'
+    const [showSurface, setShowSurface] = useUrlState('surface', true, codecs.boolean);
 
     // Calculate current cost
     const currentCost = useMemo(() => {
@@ -101,8 +112,35 @@ const CostPlayground = () => {
 
     // Generate new sample data
     const regenerateData = useCallback(() => {
-        setPoints(generateSampleDataset('linear', 15));
-    }, []);
+        setSeed(randomSeed());
+    }, [setSeed]);
+
+    // Exports use the line set by the sliders, not a fitted one
+    const exports = [
+        {
+            label: 'CSV',
+            filename: 'cost-playground.csv',
+            build: () => toCsv(
+                pointsWithPredictions(points, weight, bias),
+                ['x', 'y', 'predicted', 'residual'],
+                { weight, bias, seed, ...calculateAllMetrics(points, weight, bias) }
+            ),
+        },
+        {
+            label: 'JSON',
+            filename: 'cost-playground.json',
+            build: () => toJson({
+                source: 'Cost Function Playground',
+                exportedAt: new Date().toISOString(),
+                seed,
+                lossType,
+                model: { slope: weight, intercept: bias },
+                cost: currentCost,
+                metrics: calculateAllMetrics(points, weight, bias),
+                points,
+            }),
+        },
+    ];
 
     // Plot colors
     const colors = {
@@ -339,6 +377,8 @@ const CostPlayground = () => {
                     <button className="btn btn-secondary" onClick={regenerateData}>
                         <Shuffle size={16} /> New Data
                     </button>
+                    <SeedControl seed={seed} onChange={setSeed} />
+                    <ExportButtons exports={exports} />
                     <div className="toggle-container">
                         <div
                             className={`toggle ${showSurface ? 'active' : ''}`}
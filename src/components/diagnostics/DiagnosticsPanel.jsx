@@ -0,0 +1,205 @@
+/**
+ * Residual Diagnostics Panel Component
+ * The four classic regression diagnostic plots for any point set
+ * - Residuals vs fitted
+ * - Normal Q-Q
+ * - Scale-location
+ * - Residuals vs leverage with Cook's distance contours
+ */
+
+import { useMemo } from 'react';
+import Plot from 'react-plotly.js';
+import { useTheme } from '../../context/ThemeContext';
+import { calculateDiagnostics } from '../../utils/diagnostics';
+import { normalQuantile } from '../../utils/statistics';
+import './DiagnosticsPanel.css';
+
+// Cook's distance levels drawn on the leverage plot
+const COOKS_LEVELS = [0.5, 1];
+
+const DiagnosticsPanel = ({ points, title = 'Residual Diagnostics' }) => {
+    const { isDark } = useTheme();
+
+    const diagnostics = useMemo(() => calculateDiagnostics(points), [points]);
+    const rows = diagnostics.points;
+
+    // Theoretical normal quantiles (Blom plotting positions) against sorted residuals
+    const qq = useMemo(() => {
+        const sorted = rows.map(d => d.studentized).sort((a, b) => a - b);
+        const n = sorted.length;
+        const theoretical = sorted.map((_, i) => normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+        return { theoretical, sorted };
+    }, [rows]);
+
+    // Cook's distance contours: r = ±√(D·p·(1 - h) / h)
+    const cooksContours = useMemo(() => {
+        if (rows.length === 0) return [];
+        const p = 2; // intercept + slope
+        const maxLeverage = Math.max(...rows.map(d => d.leverage));
+        const hGrid = Array.from({ length: 40 }, (_, i) => 0.01 + (i / 39) * (maxLeverage * 1.1 - 0.01));
+
+        return COOKS_LEVELS.map(level => ({
+            level,
+            h: hGrid,
+            upper: hGrid.map(h => Math.sqrt((level * p * (1 - h)) / h)),
+            lower: hGrid.map(h => -Math.sqrt((level * p * (1 - h)) / h)),
+        }));
+    }, [rows]);
+
+    const colors = {
+        bg: isDark ? '#1e1e32' : '#ffffff',
+        grid: isDark ? '#2d2d44' : '#e5e7eb',
+        text: isDark ? '#cbd5e1' : '#4a4a68',
+        point: '#6366f1',
+        reference: '#ef4444',
+        contour: '#f59e0b',
+    };
+
+    const makeLayout = (plotTitle, xTitle, yTitle, extra = {}) => ({
+        autosize: true,
+        margin: { l: 50, r: 20, t: 40, b: 45 },
+        paper_bgcolor: colors.bg,
+        plot_bgcolor: colors.bg,
+        font: { color: colors.text, family: 'Inter, sans-serif', size: 11 },
+        title: { text: plotTitle, font: { size: 13 } },
+        xaxis: { title: xTitle, gridcolor: colors.grid, zerolinecolor: colors.grid },
+        yaxis: { title: yTitle, gridcolor: colors.grid, zerolinecolor: colors.grid },
+        showlegend: false,
+        ...extra,
+    });
+
+    const markerTrace = (x, y, hovertemplate) => ({
+        x,
+        y,
+        type: 'scatter',
+        mode: 'markers',
+        marker: { color: colors.point, size: 8, opacity: 0.8 },
+        hovertemplate,
+    });
+
+    const horizontalLine = (x, yValue) => ({
+        x: [Math.min(...x), Math.max(...x)],
+        y: [yValue, yValue],
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: colors.reference, width: 1, dash: 'dash' },
+        hoverinfo: 'skip',
+    });
+
+    const plotConfig = {
+        displayModeBar: false,
+        responsive: true,
+    };
+
+    if (rows.length === 0) {
+        return (
+            <div className="diagnostics-panel">
+                <h4>{title}</h4>
+                <p className="diagnostics-empty">Add at least 3 points to see the diagnostic plots.</p>
+            </div>
+        );
+    }
+
+    const fitted = rows.map(d => d.fitted);
+    const leverage = rows.map(d => d.leverage);
+    const finiteStudentized = rows.map(d => d.studentized).filter(r => isFinite(r));
+    const qqRange = [Math.min(...qq.theoretical), Math.max(...qq.theoretical)];
+
+    const plots = [
+        {
+            key: 'residuals-fitted',
+            data: [
+                markerTrace(fitted, rows.map(d => d.residual), 'ŷ: %{x:.2f}<br>e: %{y:.2f}<extra></extra>'),
+                horizontalLine(fitted, 0),
+            ],
+            layout: makeLayout('Residuals vs Fitted', 'Fitted ŷ', 'Residual'),
+        },
+        {
+            key: 'normal-qq',
+            data: [
+                markerTrace(qq.theoretical, qq.sorted, 'z: %{x:.2f}<br>r: %{y:.2f}<extra></extra>'),
+                {
+                    x: qqRange,
+                    y: qqRange,
+                    type: 'scatter',
+                    mode: 'lines',
+                    line: { color: colors.reference, width: 1, dash: 'dash' },
+                    hoverinfo: 'skip',
+                },
+            ],
+            layout: makeLayout('Normal Q-Q', 'Theoretical Quantiles', 'Studentized Residuals'),
+        },
+        {
+            key: 'scale-location',
+            data: [
+                markerTrace(
+                    fitted,
+                    rows.map(d => Math.sqrt(Math.abs(d.studentized))),
+                    'ŷ: %{x:.2f}<br>√|r|: %{y:.2f}<extra></extra>'
+                ),
+            ],
+            layout: makeLayout('Scale-Location', 'Fitted ŷ', '√|Studentized Residual|'),
+        },
+        {
+            key: 'residuals-leverage',
+            data: [
+                ...cooksContours.flatMap(contour => [contour.upper, contour.lower].map(y => ({
+                    x: contour.h,
+                    y,
+                    type: 'scatter',
+                    mode: 'lines',
+                    line: { color: colors.contour, width: 1, dash: contour.level === 1 ? 'solid' : 'dot' },
+                    hoverinfo: 'skip',
+                }))),
+                horizontalLine(leverage, 0),
+                {
+                    ...markerTrace(leverage, rows.map(d => d.studentized),
+                        'h: %{x:.3f}<br>r: %{y:.2f}<br>Cook\'s D: %{customdata:.3f}<extra></extra>'),
+                    customdata: rows.map(d => d.cooksDistance),
+                },
+            ],
+            layout: makeLayout('Residuals vs Leverage', 'Leverage', 'Studentized Residuals', {
+                yaxis: {
+                    title: 'Studentized Residuals',
+                    gridcolor: colors.grid,
+                    zerolinecolor: colors.grid,
+                    range: [
+                        Math.min(-3, ...finiteStudentized) - 0.5,
+                        Math.max(3, ...finiteStudentized) + 0.5,
+                    ],
+                },
+                xaxis: {
+                    title: 'Leverage',
+                    gridcolor: colors.grid,
+                    zerolinecolor: colors.grid,
+                    range: [0, Math.max(...leverage) * 1.15],
+                },
+            }),
+        },
+    ];
+
+    return (
+        <div className="diagnostics-panel">
+            <h4>{title}</h4>
+            <div className="diagnostics-grid">
+                {plots.map(plot => (
+                    <div className="diagnostics-card" key={plot.key}>
+                        <Plot
+                            data={plot.data}
+                            layout={plot.layout}
+                            config={plotConfig}
+                            style={{ width: '100%', height: '260px' }}
+                            useResizeHandler={true}
+                        />
+                    </div>
+                ))}
+            </div>
+            <p className="diagnostics-note">
+                Look for: no pattern in residuals vs fitted, points on the Q-Q line, a flat
+                scale-location trend, and no points beyond the Cook's distance contours (dotted 0.5, solid 1).
+            </p>
+        </div>
+    );
+};
+
+export default DiagnosticsPanel;
@@ -5,75 +5,328 @@
  * - Loss vs Epoch plot
  * - Parameter tuning (learning rate, iterations)
  * - Divergence visualization
+ * - Seeded sample data or a dataset from the library
+ * - Feature scaling of x, with cost contours behind the trajectory
+ * - Batch, mini-batch and stochastic updates, animated one update at a time
+ * - Momentum, Nesterov, AdaGrad, RMSProp and Adam optimizers
+ * - Race mode: 2–5 optimizer / learning-rate configurations on the same data
+ * - Gradient arrows at the current point, and an optional 3D cost surface
+ * - Learning-rate schedules, with a preview of α over the epochs
+ * Pass autoPlay to start the animation as soon as it mounts.
  */
 
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../../context/ThemeContext';
+import { useSeed } from '../../hooks/useSeed';
+import { useUrlState, codecs, oneOf } from '../../hooks/useUrlState';
+import SeedControl from '../common/SeedControl';
+import ExportButtons from '../common/ExportButtons';
+import DatasetPicker from '../common/DatasetPicker';
+import OptimizerRace from './OptimizerRace';
 import {
     gradientDescent,
     calculateLinearRegression,
+    epochsToTolerance,
+    GD_VARIANTS,
     calculateMSE,
+    calculateMSEGradient,
+    calculateAllMetrics,
     generateSampleDataset,
+    generateCostSurface,
     formatNumber,
 } from '../../utils/regressionMath';
-import { Play, Pause, RotateCcw, SkipForward, FastForward, Shuffle } from 'lucide-react';
+import { randomSeed } from '../../utils/random';
+import { datasets, getDataset, axisTitle } from '../../data/datasets';
+import { fitTransform, transformedName, unscaleLine, transformLabels, SCALINGS } from '../../utils/transforms';
+import {
+    OPTIMIZERS,
+    optimizerLabels,
+    optimizerHyperparameters,
+    normalizeHyperparameters,
+    MIN_RACE_RUNS,
+    MAX_RACE_RUNS,
+    RACE_TOLERANCES,
+} from '../../utils/optimizers';
+import {
+    SCHEDULES,
+    scheduleLabels,
+    scheduleParameters,
+    normalizeScheduleParameters,
+    createSchedule,
+} from '../../utils/schedules';
+import { toCsv, toJson, pointsWithPredictions } from '../../utils/exportData';
+import { plotConfig, plotColors, baseLayout, costContourTrace, parameterAxes } from '../../utils/gradientPlots';
+import { Play, Pause, RotateCcw, SkipForward, FastForward, Shuffle, GitCompare, Box } from 'lucide-react';
 import './GradientDescent.css';
 
-const GradientDescentSimulator = () => {
+// Library datasets by id
+const DATASET_IDS = oneOf(datasets.map(d => d.id));
+const SCALING_TYPES = oneOf(SCALINGS);
+const VARIANT_TYPES = oneOf(GD_VARIANTS);
+
+const variantLabels = {
+    batch: 'Batch (all points)',
+    minibatch: 'Mini-batch',
+    stochastic: 'Stochastic (1 point)',
+};
+
+const OPTIMIZER_TYPES = oneOf(OPTIMIZERS);
+const NO_HYPERPARAMETERS = {};
+
+// Update rule of each optimizer, shown next to its settings
+const updateFormulas = {
+    sgd: 'θ ← θ − α·g',
+    momentum: 'v ← βv − α·g,  θ ← θ + v',
+    nesterov: 'v ← βv − α·g(θ + βv),  θ ← θ + v',
+    adagrad: 'G ← G + g²,  θ ← θ − α·g / (√G + ε)',
+    rmsprop: 'E ← ρE + (1 − ρ)·g²,  θ ← θ − α·g / (√E + ε)',
+    adam: 'm ← β₁m + (1 − β₁)·g,  v ← β₂v + (1 − β₂)·g²,  θ ← θ − α·m̂ / (√v̂ + ε)',
+};
+
+const SCHEDULE_TYPES = oneOf(SCHEDULES);
+const NO_SCHEDULE_PARAMETERS = {};
+
+// α at epoch t for each schedule, shown next to its settings
+const scheduleFormulas = {
+    constant: 'αₜ = α',
+    step: 'αₜ = α·γ^⌊t / k⌋',
+    exponential: 'αₜ = α·e^(−kt)',
+    inverse: 'αₜ = α / (1 + kt)',
+    cosine: 'αₜ = α_min + ½(α − α_min)(1 + cos(πt / T))',
+    restarts: 'cosine annealing, restarted at α after every period',
+    warmup: 'αₜ = α·min(t / w, 1)',
+};
+
+// Race runs in the URL as optimizer:learningRate pairs, e.g. "sgd:0.01,adam:0.1"
+const raceCodec = {
+    parse: (text) => {
+        const runs = text.split(',').map(pair => {
+            const [type, rate] = pair.split(':');
+            return { optimizer: OPTIMIZER_TYPES.parse(type), learningRate: Number(rate) };
+        });
+        const valid = runs.every(run => run.optimizer && run.learningRate > 0);
+        return valid && runs.length >= MIN_RACE_RUNS && runs.length <= MAX_RACE_RUNS ? runs : undefined;
+    },
+    serialize: (runs) => runs.map(run => `${run.optimizer}:${run.learningRate}`).join(','),
+};
+
+const DEFAULT_RACE = [
+    { optimizer: 'sgd', learningRate: 0.01 },
+    { optimizer: 'momentum', learningRate: 0.01 },
+    { optimizer: 'adam', learningRate: 0.1 },
+];
+
+const TOLERANCES = oneOf(RACE_TOLERANCES);
+
+// Grid resolution of the cost contours
+const CONTOUR_RESOLUTION = 40;
+
+// Length of the gradient arrow, as a fraction of the contour window
+const ARROW_LENGTH = 0.2;
+
+const GradientDescentSimulator = ({ autoPlay = false }) => {
     const { isDark } = useTheme();
 
-    // Data state
-    const [points, setPoints] = useState(() => generateSampleDataset('linear', 20));
+    // Data state: a library dataset, or a sample reproducible from the seed in the URL
+    const [seed, setSeed] = useSeed();
+    const [datasetId, setDatasetId] = useUrlState('dataset', null, DATASET_IDS);
+    const dataset = datasetId ? getDataset(datasetId) : null;
+    const points = useMemo(() => (
+        dataset ? dataset.points : generateSampleDataset('linear', 20, seed)
+    ), [dataset, seed]);
+
+    // Gradient descent runs on the scaled x; lines are mapped back for the data plot
+    const [scaling, setScaling] = useUrlState('scale', 'none', SCALING_TYPES);
+    const xScaling = useMemo(() => fitTransform(points.map(p => p.x), scaling), [points, scaling]);
+    const trainPoints = useMemo(() => (
+        points.map(p => ({ x: xScaling.forward(p.x), y: p.y }))
+    ), [points, xScaling]);
+
+    // Horizontal extent of the fitted lines, padded for the axis
+    const xExtent = useMemo(() => {
+        if (!dataset) return { line: [0, 10], axis: [-1, 11] };
+        const xs = points.map(p => p.x);
+        const min = Math.min(...xs);
+        const max = Math.max(...xs);
+        const pad = (max - min) * 0.1 || 1;
+        return { line: [min, max], axis: [min - pad, max + pad] };
+    }, [dataset, points]);
+
+    // Parameters, restored from and written to the URL
+    const [learningRate, setLearningRate] = useUrlState('lr', 0.01, codecs.number);
+    const [iterations, setIterations] = useUrlState('iter', 100, codecs.integer);
+    const [initialWeight, setInitialWeight] = useUrlState('w0', 0, codecs.number);
+    const [initialBias, setInitialBias] = useUrlState('b0', 0, codecs.number);
+
+    // Update rule: mini-batches are reshuffled every epoch from the data seed
+    const [variant, setVariant] = useUrlState('method', 'batch', VARIANT_TYPES);
+    const [storedBatchSize, setBatchSize] = useUrlState('batch', 4, codecs.integer);
+    const batchSize = Math.min(Math.max(storedBatchSize, 1), points.length);
+    const updateBatchSize = variant === 'stochastic' ? 1 : variant === 'minibatch' ? batchSize : null;
+
+    // Optimizer; only hyperparameters that differ from its defaults go in the URL
+    const [optimizer, setOptimizer] = useUrlState('opt', 'sgd', OPTIMIZER_TYPES);
+    const [storedHyperparameters, setStoredHyperparameters] = useUrlState('hp', NO_HYPERPARAMETERS, codecs.record);
+    const hyperparameters = useMemo(() => (
+        normalizeHyperparameters(optimizer, storedHyperparameters)
+    ), [optimizer, storedHyperparameters]);
+
+    // Learning-rate schedule; like the optimizer, only non-default settings go in the URL
+    const [schedule, setSchedule] = useUrlState('sched', 'constant', SCHEDULE_TYPES);
+    const [storedScheduleParameters, setStoredScheduleParameters] = useUrlState('sp', NO_SCHEDULE_PARAMETERS, codecs.record);
+    const scheduleSettings = useMemo(() => (
+        normalizeScheduleParameters(schedule, storedScheduleParameters)
+    ), [schedule, storedScheduleParameters]);
+
+    // Race mode: several configurations
+    const [comparing, setComparing] = useUrlState('compare', false, codecs.boolean);
+    const [raceConfigs, setRaceConfigs] = useUrlState('race', DEFAULT_RACE, raceCodec);
+    const [tolerance, setTolerance] = useUrlState('tol', 0.01, TOLERANCES);
 
-    // Parameters
-    const [learningRate, setLearningRate] = useState(0.01);
-    const [iterations, setIterations] = useState(100);
-    const [initialWeight, setInitialWeight] = useState(0);
-    const [initialBias, setInitialBias] = useState(0);
+    const [showSurface, setShowSurface] = useUrlState('surface', false, codecs.boolean);
 
     // Animation state
-    const [isPlaying, setIsPlaying] = useState(false);
-    const [currentEpoch, setCurrentEpoch] = useState(0);
-    const [speed, setSpeed] = useState(100); // ms per epoch
+    const [isPlaying, setIsPlaying] = useState(autoPlay);
+    const [currentStep, setCurrentStep] = useState(0);
+    const [speed, setSpeed] = useUrlState('speed', 100, codecs.integer); // ms per epoch
     const animationRef = useRef(null);
 
     // Run gradient descent
     const gdResult = useMemo(() => {
         return gradientDescent(
-            points,
+            trainPoints,
             learningRate,
             iterations,
             initialWeight,
-            initialBias
+            initialBias,
+            { batchSize: updateBatchSize, seed, optimizer, hyperparameters, schedule, scheduleParameters: scheduleSettings }
         );
-    }, [points, learningRate, iterations, initialWeight, initialBias]);
+    }, [
+        trainPoints, learningRate, iterations, initialWeight, initialBias,
+        updateBatchSize, seed, optimizer, hyperparameters, schedule, scheduleSettings,
+    ]);
+
+    // Runs of the single-run view's optimizer use its tuned settings, the others their defaults
+    const raceHyperparameters = useMemo(() => raceConfigs.map(config => (
+        config.optimizer === optimizer ? hyperparameters : normalizeHyperparameters(config.optimizer)
+    )), [raceConfigs, optimizer, hyperparameters]);
+
+    // Every run shares the points, start, batch size, shuffles and schedule; only the update rule differs
+    const raceRuns = useMemo(() => {
+        if (!comparing) return [];
+        return raceConfigs.map((config, i) => gradientDescent(
+            trainPoints,
+            config.learningRate,
+            iterations,
+            initialWeight,
+            initialBias,
+            {
+                batchSize: updateBatchSize,
+                seed,
+                optimizer: config.optimizer,
+                hyperparameters: raceHyperparameters[i],
+                schedule,
+                scheduleParameters: scheduleSettings,
+            }
+        ));
+    }, [
+        comparing, raceConfigs, raceHyperparameters, trainPoints, iterations, initialWeight, initialBias,
+        updateBatchSize, seed, schedule, scheduleSettings,
+    ]);
+
+    // Updates the animation walks through: the single run, or the longest race run
+    const totalSteps = comparing
+        ? Math.max(...raceRuns.map(run => run.history.length))
+        : gdResult.history.length;
+
+    // Updates are plotted against fractional epochs, so every variant shares one axis
+    const toEpochs = (step) => step / (gdResult.updatesPerEpoch || 1);
+    const currentEpoch = Math.min(Math.ceil(toEpochs(currentStep)), iterations);
+
+    // α for every epoch; races scale one schedule by each run's own rate, so they preview α / α₀
+    const scheduleRates = useMemo(() => {
+        const rateAt = createSchedule(schedule, scheduleSettings, comparing ? 1 : learningRate, iterations);
+        return Array.from({ length: iterations }, (_, i) => rateAt(i + 1));
+    }, [schedule, scheduleSettings, comparing, learningRate, iterations]);
+    const currentRate = scheduleRates[Math.max(currentEpoch, 1) - 1];
 
     // Get optimal solution for comparison
     const optimalSolution = useMemo(() => {
-        return calculateLinearRegression(points);
-    }, [points]);
+        return calculateLinearRegression(trainPoints);
+    }, [trainPoints]);
 
     // Current state at this epoch
     const currentState = useMemo(() => {
-        if (currentEpoch === 0) {
+        if (currentStep === 0) {
             return {
                 slope: initialWeight,
                 intercept: initialBias,
-                loss: calculateMSE(points, initialWeight, initialBias),
+                loss: calculateMSE(trainPoints, initialWeight, initialBias),
             };
         }
-        const epochData = gdResult.history[currentEpoch - 1];
+        const epochData = gdResult.history[currentStep - 1];
         return epochData || gdResult.history[gdResult.history.length - 1];
-    }, [currentEpoch, gdResult, initialWeight, initialBias, points]);
+    }, [currentStep, gdResult, initialWeight, initialBias, trainPoints]);
+
+    // First epoch within 1% of the optimal loss: how fast this setup converges
+    const optimalLoss = calculateMSE(trainPoints, optimalSolution.slope, optimalSolution.intercept);
+    const convergedEpoch = epochsToTolerance(gdResult.history, optimalLoss);
+
+    // Full-data gradient at the current point; the arrow shows the downhill direction −∇J
+    const currentGradient = calculateMSEGradient(trainPoints, currentState.slope, currentState.intercept);
+
+    // Lines in the original units of x
+    const currentLine = unscaleLine(xScaling, currentState.slope, currentState.intercept);
+    const optimalLine = unscaleLine(xScaling, optimalSolution.slope, optimalSolution.intercept);
+    const finalLine = unscaleLine(xScaling, gdResult.finalSlope, gdResult.finalIntercept);
+
+    // Cost contours on an equal-aspect window around the start, the optimum and
+    // every step (of every run, when racing) that stayed below the starting loss
+    const contours = useMemo(() => {
+        const startLoss = calculateMSE(trainPoints, initialWeight, initialBias);
+        const histories = comparing ? raceRuns.map(run => run.history) : [gdResult.history];
+        const visited = [
+            { slope: initialWeight, intercept: initialBias },
+            optimalSolution,
+            ...histories.flat().filter(h => isFinite(h.loss) && h.loss <= startLoss),
+        ];
+        const slopes = visited.map(v => v.slope);
+        const intercepts = visited.map(v => v.intercept);
+        const center = [
+            (Math.min(...slopes) + Math.max(...slopes)) / 2,
+            (Math.min(...intercepts) + Math.max(...intercepts)) / 2,
+        ];
+        const half = Math.max(
+            Math.max(...slopes) - Math.min(...slopes),
+            Math.max(...intercepts) - Math.min(...intercepts),
+            0.5
+        ) * 0.65;
+
+        const surface = generateCostSurface(
+            trainPoints,
+            [center[0] - half, center[0] + half],
+            [center[1] - half, center[1] + half],
+            CONTOUR_RESOLUTION
+        );
+
+        // Costs are indexed [slope][intercept]; Plotly wants rows along y
+        const costs = surface.intercepts[0].map((_, j) => surface.costs.map(row => row[j]));
+        return {
+            x: surface.slopes.map(row => row[0]),
+            y: surface.intercepts[0],
+            z: costs.map(row => row.map(cost => Math.log10(cost + 1e-12))),
+            costs,
+        };
+    }, [trainPoints, initialWeight, initialBias, optimalSolution, gdResult, comparing, raceRuns]);
 
     // Animation effect
     useEffect(() => {
-        if (isPlaying && currentEpoch < gdResult.history.length) {
+        if (isPlaying && currentStep < totalSteps) {
             animationRef.current = setTimeout(() => {
-                setCurrentEpoch(prev => prev + 1);
+                setCurrentStep(prev => prev + 1);
             }, speed);
-        } else if (currentEpoch >= gdResult.history.length) {
+        } else if (currentStep >= totalSteps) {
             setIsPlaying(false);
         }
 
@@ -82,49 +335,188 @@ const GradientDescentSimulator = () => {
                 clearTimeout(animationRef.current);
             }
         };
-    }, [isPlaying, currentEpoch, gdResult.history.length, speed]);
+    }, [isPlaying, currentStep, totalSteps, speed]);
 
     // Control functions
     const handlePlay = useCallback(() => {
-        if (currentEpoch >= gdResult.history.length) {
-            setCurrentEpoch(0);
+        if (currentStep >= totalSteps) {
+            setCurrentStep(0);
         }
         setIsPlaying(true);
-    }, [currentEpoch, gdResult.history.length]);
+    }, [currentStep, totalSteps]);
 
     const handlePause = useCallback(() => {
         setIsPlaying(false);
     }, []);
 
     const handleStep = useCallback(() => {
-        if (currentEpoch < gdResult.history.length) {
-            setCurrentEpoch(prev => prev + 1);
+        if (currentStep < totalSteps) {
+            setCurrentStep(prev => prev + 1);
         }
-    }, [currentEpoch, gdResult.history.length]);
+    }, [currentStep, totalSteps]);
 
     const handleReset = useCallback(() => {
         setIsPlaying(false);
-        setCurrentEpoch(0);
+        setCurrentStep(0);
     }, []);
 
     const handleSkipToEnd = useCallback(() => {
         setIsPlaying(false);
-        setCurrentEpoch(gdResult.history.length);
-    }, [gdResult.history.length]);
+        setCurrentStep(totalSteps);
+    }, [totalSteps]);
+
+    // A seed always means generated data, so it replaces any library dataset
+    const changeSeed = useCallback((nextSeed) => {
+        setSeed(nextSeed);
+        setDatasetId(null);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setSeed, setDatasetId]);
+
+    const selectDataset = useCallback((id) => {
+        setDatasetId(id);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setDatasetId]);
 
     const regenerateData = useCallback(() => {
-        setPoints(generateSampleDataset('linear', 20));
-        setCurrentEpoch(0);
+        changeSeed(randomSeed());
+    }, [changeSeed]);
+
+    const changeScaling = useCallback((next) => {
+        setScaling(next);
+        setCurrentStep(0);
         setIsPlaying(false);
-    }, []);
+    }, [setScaling]);
+
+    const changeVariant = useCallback((next) => {
+        setVariant(next);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setVariant]);
+
+    // A new optimizer starts from its own defaults
+    const changeOptimizer = useCallback((next) => {
+        setOptimizer(next);
+        setStoredHyperparameters(null);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setOptimizer, setStoredHyperparameters]);
+
+    const changeHyperparameter = useCallback((key, value) => {
+        if (!isFinite(value)) return;
+        const next = normalizeHyperparameters(optimizer, { ...hyperparameters, [key]: value });
+        setStoredHyperparameters(Object.fromEntries(optimizerHyperparameters[optimizer]
+            .filter(spec => next[spec.key] !== spec.defaultValue)
+            .map(spec => [spec.key, next[spec.key]])));
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [optimizer, hyperparameters, setStoredHyperparameters]);
+
+    // A new schedule starts from its own defaults
+    const changeSchedule = useCallback((next) => {
+        setSchedule(next);
+        setStoredScheduleParameters(null);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setSchedule, setStoredScheduleParameters]);
+
+    const changeScheduleParameter = useCallback((key, value) => {
+        if (!isFinite(value)) return;
+        const next = normalizeScheduleParameters(schedule, { ...scheduleSettings, [key]: value });
+        setStoredScheduleParameters(Object.fromEntries(scheduleParameters[schedule]
+            .filter(spec => next[spec.key] !== spec.defaultValue)
+            .map(spec => [spec.key, next[spec.key]])));
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [schedule, scheduleSettings, setStoredScheduleParameters]);
+
+    const changeRace = useCallback((next) => {
+        setRaceConfigs(next);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setRaceConfigs]);
+
+    const toggleComparing = useCallback(() => {
+        setComparing(prev => !prev);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setComparing]);
+
+    const changeBatchSize = useCallback((next) => {
+        if (!Number.isInteger(next) || next < 1) return;
+        setBatchSize(next);
+        setCurrentStep(0);
+        setIsPlaying(false);
+    }, [setBatchSize]);
+
+    // Run settings, final model and metrics shared by every export; CSV comment
+    // lines only hold scalars, so `flat` spreads the hyperparameters and
+    // schedule parameters into them
+    const exportSummary = (flat = false) => ({
+        learningRate,
+        iterations,
+        initialSlope: initialWeight,
+        initialIntercept: initialBias,
+        method: variant,
+        ...(updateBatchSize && { batchSize: updateBatchSize }),
+        optimizer,
+        ...(Object.keys(hyperparameters).length > 0 && (flat ? hyperparameters : { hyperparameters })),
+        schedule,
+        ...(Object.keys(scheduleSettings).length > 0
+            && (flat ? scheduleSettings : { scheduleParameters: scheduleSettings })),
+        ...(dataset ? { dataset: dataset.id } : { seed }),
+        scaling,
+        finalSlope: gdResult.finalSlope,
+        finalIntercept: gdResult.finalIntercept,
+        ...(scaling !== 'none' && {
+            originalSlope: finalLine.slope,
+            originalIntercept: finalLine.intercept,
+        }),
+        converged: gdResult.converged,
+    });
+
+    const exports = [
+        {
+            label: 'Points CSV',
+            filename: 'gradient-descent-points.csv',
+            build: () => toCsv(
+                pointsWithPredictions(points, finalLine.slope, finalLine.intercept),
+                ['x', 'y', 'predicted', 'residual'],
+                exportSummary(true)
+            ),
+        },
+        {
+            label: 'History CSV',
+            filename: 'gradient-descent-history.csv',
+            build: () => toCsv(
+                gdResult.history,
+                ['step', 'epoch', 'learningRate', 'slope', 'intercept', 'loss', 'slopeGradient', 'interceptGradient'],
+                exportSummary(true)
+            ),
+        },
+        {
+            label: 'JSON',
+            filename: 'gradient-descent.json',
+            build: () => toJson({
+                source: 'Gradient Descent Simulator',
+                exportedAt: new Date().toISOString(),
+                ...exportSummary(),
+                optimal: optimalSolution && {
+                    slope: optimalSolution.slope,
+                    intercept: optimalSolution.intercept,
+                },
+                metrics: calculateAllMetrics(points, finalLine.slope, finalLine.intercept),
+                points,
+                history: gdResult.history,
+            }),
+        },
+    ];
 
     // Plot colors
     const colors = {
-        bg: isDark ? '#1e1e32' : '#ffffff',
-        grid: isDark ? '#2d2d44' : '#e5e7eb',
-        text: isDark ? '#cbd5e1' : '#4a4a68',
+        ...plotColors(isDark),
         point: '#6366f1',
-        optimal: '#10b981',
         current: '#ef4444',
         path: '#8b5cf6',
     };
@@ -133,7 +525,7 @@ const GradientDescentSimulator = () => {
     const lossPlotData = [
         // Full loss curve (faded)
         {
-            x: gdResult.history.map(h => h.epoch),
+            x: gdResult.history.map(h => toEpochs(h.step)),
             y: gdResult.history.map(h => h.loss),
             type: 'scatter',
             mode: 'lines',
@@ -142,16 +534,16 @@ const GradientDescentSimulator = () => {
         },
         // Animated portion
         {
-            x: gdResult.history.slice(0, currentEpoch).map(h => h.epoch),
-            y: gdResult.history.slice(0, currentEpoch).map(h => h.loss),
+            x: gdResult.history.slice(0, currentStep).map(h => toEpochs(h.step)),
+            y: gdResult.history.slice(0, currentStep).map(h => h.loss),
             type: 'scatter',
             mode: 'lines',
             name: 'Current Progress',
             line: { color: colors.path, width: 3 },
         },
         // Current point
-        ...(currentEpoch > 0 ? [{
-            x: [currentEpoch],
+        ...(currentStep > 0 ? [{
+            x: [toEpochs(currentStep)],
             y: [currentState.loss],
             type: 'scatter',
             mode: 'markers',
@@ -165,11 +557,7 @@ const GradientDescentSimulator = () => {
     ];
 
     const lossPlotLayout = {
-        autosize: true,
-        margin: { l: 60, r: 20, t: 40, b: 50 },
-        paper_bgcolor: colors.bg,
-        plot_bgcolor: colors.bg,
-        font: { color: colors.text, family: 'Inter, sans-serif' },
+        ...baseLayout(colors),
         title: { text: 'Loss vs Epoch', font: { size: 14 } },
         xaxis: {
             title: 'Epoch',
@@ -200,8 +588,8 @@ const GradientDescentSimulator = () => {
         },
         // Optimal line
         {
-            x: [0, 10],
-            y: [optimalSolution.intercept, optimalSolution.slope * 10 + optimalSolution.intercept],
+            x: xExtent.line,
+            y: xExtent.line.map(x => optimalLine.slope * x + optimalLine.intercept),
             type: 'scatter',
             mode: 'lines',
             name: 'Optimal',
@@ -209,8 +597,8 @@ const GradientDescentSimulator = () => {
         },
         // Current GD line
         {
-            x: [0, 10],
-            y: [currentState.intercept, currentState.slope * 10 + currentState.intercept],
+            x: xExtent.line,
+            y: xExtent.line.map(x => currentLine.slope * x + currentLine.intercept),
             type: 'scatter',
             mode: 'lines',
             name: 'GD Current',
@@ -226,12 +614,12 @@ const GradientDescentSimulator = () => {
         font: { color: colors.text, family: 'Inter, sans-serif' },
         title: { text: 'Regression Fit', font: { size: 14 } },
         xaxis: {
-            title: 'X',
+            title: dataset ? axisTitle(dataset.x) : 'X',
             gridcolor: colors.grid,
-            range: [-1, 11],
+            range: xExtent.axis,
         },
         yaxis: {
-            title: 'Y',
+            title: dataset ? axisTitle(dataset.y) : 'Y',
             gridcolor: colors.grid,
         },
         showlegend: true,
@@ -244,10 +632,11 @@ const GradientDescentSimulator = () => {
 
     // Parameter trajectory plot
     const trajectoryPlotData = [
+        costContourTrace(contours, colors),
         // Path taken
         {
-            x: [initialWeight, ...gdResult.history.slice(0, currentEpoch).map(h => h.slope)],
-            y: [initialBias, ...gdResult.history.slice(0, currentEpoch).map(h => h.intercept)],
+            x: [initialWeight, ...gdResult.history.slice(0, currentStep).map(h => h.slope)],
+            y: [initialBias, ...gdResult.history.slice(0, currentStep).map(h => h.intercept)],
             type: 'scatter',
             mode: 'lines+markers',
             name: 'Path',
@@ -262,7 +651,7 @@ const GradientDescentSimulator = () => {
             mode: 'markers',
             name: 'Start',
             marker: {
-                color: '#f59e0b',
+                color: colors.start,
                 size: 14,
                 symbol: 'circle',
             },
@@ -296,29 +685,143 @@ const GradientDescentSimulator = () => {
         },
     ];
 
+    // −∇J and its weight and bias components, scaled to a fixed length so
+    // the direction stays readable however steep the surface is
+    const gradientNorm = Math.hypot(currentGradient.slopeGradient, currentGradient.interceptGradient);
+    const arrowScale = (contours.x[contours.x.length - 1] - contours.x[0]) * ARROW_LENGTH / gradientNorm;
+    const arrowTip = {
+        slope: currentState.slope - currentGradient.slopeGradient * arrowScale,
+        intercept: currentState.intercept - currentGradient.interceptGradient * arrowScale,
+    };
+    const gradientArrows = isFinite(arrowScale) && isFinite(currentState.loss) ? [
+        { x: arrowTip.slope, y: currentState.intercept, color: colors.grid, width: 1.5 },
+        { x: currentState.slope, y: arrowTip.intercept, color: colors.grid, width: 1.5 },
+        { x: arrowTip.slope, y: arrowTip.intercept, color: colors.current, width: 2.5 },
+    ].map(arrow => ({
+        x: arrow.x,
+        y: arrow.y,
+        ax: currentState.slope,
+        ay: currentState.intercept,
+        xref: 'x',
+        yref: 'y',
+        axref: 'x',
+        ayref: 'y',
+        text: '',
+        showarrow: true,
+        arrowhead: 2,
+        arrowsize: 1,
+        arrowwidth: arrow.width,
+        arrowcolor: arrow.color,
+    })) : [];
+
+    const weightTitle = scaling === 'none' ? 'Weight (m)' : `Weight on ${transformedName(xScaling, 'x')}`;
+
     const trajectoryPlotLayout = {
-        autosize: true,
-        margin: { l: 60, r: 20, t: 40, b: 50 },
-        paper_bgcolor: colors.bg,
-        plot_bgcolor: colors.bg,
-        font: { color: colors.text, family: 'Inter, sans-serif' },
+        ...baseLayout(colors),
         title: { text: 'Parameter Space Trajectory', font: { size: 14 } },
-        xaxis: {
-            title: 'Weight (m)',
-            gridcolor: colors.grid,
+        ...parameterAxes(contours, weightTitle, colors),
+        annotations: gradientArrows,
+        showlegend: false,
+    };
+
+    // The same window as a 3D MSE surface, with the path riding on it
+    const pathShown = gdResult.history.slice(0, currentStep);
+    const startLoss = calculateMSE(trainPoints, initialWeight, initialBias);
+    const surfacePlotData = showSurface ? [
+        {
+            x: contours.x,
+            y: contours.y,
+            z: contours.costs,
+            type: 'surface',
+            colorscale: 'Viridis',
+            opacity: 0.85,
+            showscale: false,
+            hoverinfo: 'skip',
         },
-        yaxis: {
-            title: 'Bias (b)',
-            gridcolor: colors.grid,
+        // Path taken
+        {
+            x: [initialWeight, ...pathShown.map(h => h.slope)],
+            y: [initialBias, ...pathShown.map(h => h.intercept)],
+            z: [startLoss, ...pathShown.map(h => h.loss)],
+            type: 'scatter3d',
+            mode: 'lines+markers',
+            name: 'Path',
+            line: { color: colors.path, width: 5 },
+            marker: { color: colors.path, size: 2 },
+        },
+        // Current point
+        {
+            x: [currentState.slope],
+            y: [currentState.intercept],
+            z: [currentState.loss],
+            type: 'scatter3d',
+            mode: 'markers',
+            name: 'Current',
+            marker: { color: colors.current, size: 6 },
+        },
+        // Optimal point
+        {
+            x: [optimalSolution.slope],
+            y: [optimalSolution.intercept],
+            z: [optimalLoss],
+            type: 'scatter3d',
+            mode: 'markers',
+            name: 'Optimal',
+            marker: { color: colors.optimal, size: 6, symbol: 'diamond' },
+        },
+    ] : [];
+
+    const surfacePlotLayout = {
+        autosize: true,
+        margin: { l: 0, r: 0, t: 40, b: 0 },
+        paper_bgcolor: colors.bg,
+        font: { color: colors.text, family: 'Inter, sans-serif', size: 10 },
+        title: { text: 'MSE Cost Surface', font: { size: 14 } },
+        scene: {
+            xaxis: { title: weightTitle, gridcolor: colors.grid, range: trajectoryPlotLayout.xaxis.range },
+            yaxis: { title: 'Bias (b)', gridcolor: colors.grid, range: trajectoryPlotLayout.yaxis.range },
+            zaxis: { title: 'MSE', gridcolor: colors.grid },
+            camera: {
+                eye: { x: 1.5, y: 1.5, z: 1 },
+            },
         },
         showlegend: false,
     };
 
-    const plotConfig = {
-        displayModeBar: false,
-        responsive: true,
+    // α over the epochs, with the current epoch marked
+    const schedulePlotData = [
+        {
+            x: scheduleRates.map((_, i) => i + 1),
+            y: scheduleRates,
+            type: 'scatter',
+            mode: 'lines',
+            name: 'α',
+            line: { color: colors.path, width: 2 },
+        },
+        ...(currentEpoch > 0 ? [{
+            x: [currentEpoch],
+            y: [currentRate],
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Current',
+            marker: { color: colors.current, size: 8 },
+        }] : []),
+    ];
+
+    const schedulePlotLayout = {
+        autosize: true,
+        margin: { l: 50, r: 10, t: 10, b: 30 },
+        paper_bgcolor: colors.bg,
+        plot_bgcolor: colors.bg,
+        font: { color: colors.text, family: 'Inter, sans-serif', size: 10 },
+        xaxis: { title: 'Epoch', gridcolor: colors.grid, range: [1, iterations] },
+        yaxis: { title: comparing ? 'α / α₀' : 'α', gridcolor: colors.grid, rangemode: 'tozero' },
+        showlegend: false,
     };
 
+    // Weights are reported on the scale gradient descent works in
+    const scaledNote = scaling === 'none' ? '' : ` · ${transformedName(xScaling, 'x')}`;
+
     // Check for divergence
     const hasDiverged = !gdResult.converged ||
         (gdResult.history.length > 0 && !isFinite(gdResult.history[gdResult.history.length - 1].loss));
@@ -360,7 +863,7 @@ const GradientDescentSimulator = () => {
                         <button
                             className="btn btn-icon btn-secondary"
                             onClick={handleStep}
-                            disabled={currentEpoch >= gdResult.history.length}
+                            disabled={currentStep >= totalSteps}
                             title="Step"
                         >
                             <SkipForward size={18} />
@@ -379,11 +882,23 @@ const GradientDescentSimulator = () => {
                         <span>Epoch</span>
                         <strong>{currentEpoch} / {iterations}</strong>
                     </div>
+                    {gdResult.updatesPerEpoch > 1 && (
+                        <div className="epoch-display">
+                            <span>Update</span>
+                            <strong>{currentStep} / {totalSteps}</strong>
+                        </div>
+                    )}
+                    {schedule !== 'constant' && !comparing && (
+                        <div className="epoch-display">
+                            <span>Current α</span>
+                            <strong>{formatNumber(currentRate, 4)}</strong>
+                        </div>
+                    )}
                 </div>
 
                 {/* Learning Rate */}
                 <div className="control-section">
-                    <h4>Learning Rate</h4>
+                    <h4>{schedule === 'constant' ? 'Learning Rate' : 'Base Learning Rate'}</h4>
                     <div className="slider-container">
                         <div className="slider-header">
                             <span className="slider-value">{learningRate.toFixed(4)}</span>
@@ -395,13 +910,16 @@ const GradientDescentSimulator = () => {
                             max="0.5"
                             step="0.001"
                             value={learningRate}
+                            disabled={comparing}
                             onChange={(e) => {
                                 setLearningRate(parseFloat(e.target.value));
                                 handleReset();
                             }}
                         />
                     </div>
-                    {learningRate > 0.1 && (
+                    {comparing ? (
+                        <span className="warning-text">Set per run in the race below</span>
+                    ) : learningRate > 0.1 && (
                         <span className="warning-text">⚠️ High LR may diverge!</span>
                     )}
                 </div>
@@ -453,84 +971,245 @@ const GradientDescentSimulator = () => {
                     <button className="btn btn-secondary btn-sm" onClick={regenerateData}>
                         <Shuffle size={14} /> Regenerate
                     </button>
+                    <SeedControl seed={seed} onChange={changeSeed} />
+                    <ExportButtons exports={exports} />
                 </div>
             </div>
 
-            {/* Status Badges */}
-            <div className="gd-status">
-                {hasDiverged ? (
-                    <div className="badge badge-error">⚠️ Diverged! Try lower learning rate</div>
-                ) : gdResult.converged && currentEpoch === iterations ? (
-                    <div className="badge badge-success">✓ Converged</div>
-                ) : (
-                    <div className="badge badge-primary">Running...</div>
+            {/* Dataset and feature scaling */}
+            <div className="gd-dataset">
+                <DatasetPicker value={datasetId} onChange={selectDataset} emptyLabel="Generated sample (seeded)" />
+                <label className="gd-option">
+                    <span>Update rule</span>
+                    <select className="form-input" value={variant} onChange={(e) => changeVariant(e.target.value)}>
+                        {GD_VARIANTS.map(type => (
+                            <option key={type} value={type}>{variantLabels[type]}</option>
+                        ))}
+                    </select>
+                </label>
+                {variant === 'minibatch' && (
+                    <label className="gd-option">
+                        <span>Batch size</span>
+                        <input
+                            type="number"
+                            className="form-input gd-batch-size"
+                            min="1"
+                            max={points.length}
+                            step="1"
+                            value={batchSize}
+                            onChange={(e) => changeBatchSize(parseInt(e.target.value, 10))}
+                        />
+                    </label>
                 )}
+                <label className="gd-option">
+                    <span>Feature scaling</span>
+                    <select className="form-input" value={scaling} onChange={(e) => changeScaling(e.target.value)}>
+                        {SCALINGS.map(type => (
+                            <option key={type} value={type}>{transformLabels[type]}</option>
+                        ))}
+                    </select>
+                </label>
             </div>
 
-            {/* Metrics Display */}
-            <div className="gd-metrics">
-                <div className="metric-box">
-                    <div className="metric-label">Current Loss</div>
-                    <div className={`metric-value ${hasDiverged ? 'negative' : ''}`}>
-                        {formatNumber(currentState.loss, 4)}
-                    </div>
-                </div>
-                <div className="metric-box">
-                    <div className="metric-label">Weight (m)</div>
-                    <div className="metric-value neutral">{formatNumber(currentState.slope, 4)}</div>
-                </div>
-                <div className="metric-box">
-                    <div className="metric-label">Bias (b)</div>
-                    <div className="metric-value neutral">{formatNumber(currentState.intercept, 4)}</div>
-                </div>
-                <div className="metric-box">
-                    <div className="metric-label">Optimal Weight</div>
-                    <div className="metric-value positive">{formatNumber(optimalSolution.slope, 4)}</div>
-                </div>
-                <div className="metric-box">
-                    <div className="metric-label">Optimal Bias</div>
-                    <div className="metric-value positive">{formatNumber(optimalSolution.intercept, 4)}</div>
-                </div>
-                <div className="metric-box">
-                    <div className="metric-label">Weight Error</div>
-                    <div className="metric-value">
-                        {formatNumber(Math.abs(currentState.slope - optimalSolution.slope), 4)}
-                    </div>
-                </div>
+            {/* Optimizer, or the race's configurations */}
+            <div className="gd-optimizer">
+                {!comparing && (
+                    <>
+                        <label className="gd-option">
+                            <span>Optimizer</span>
+                            <select className="form-input" value={optimizer} onChange={(e) => changeOptimizer(e.target.value)}>
+                                {OPTIMIZERS.map(type => (
+                                    <option key={type} value={type}>{optimizerLabels[type]}</option>
+                                ))}
+                            </select>
+                        </label>
+                        {optimizerHyperparameters[optimizer].map(spec => (
+                            <label key={spec.key} className="gd-option">
+                                <span>{spec.label}</span>
+                                <input
+                                    type="number"
+                                    className="form-input gd-hyperparameter"
+                                    min={spec.min}
+                                    max={spec.max}
+                                    step={spec.step ?? 'any'}
+                                    value={hyperparameters[spec.key]}
+                                    onChange={(e) => changeHyperparameter(spec.key, parseFloat(e.target.value))}
+                                />
+                            </label>
+                        ))}
+                        <span className="gd-update-formula">{updateFormulas[optimizer]}</span>
+                    </>
+                )}
+                <button
+                    className={`btn btn-sm ${comparing ? 'btn-primary' : 'btn-secondary'} gd-compare-toggle`}
+                    onClick={toggleComparing}
+                    title="Run several optimizers side by side on the same data"
+                >
+                    <GitCompare size={14} /> Compare Optimizers
+                </button>
             </div>
 
-            {/* Plots */}
-            <div className="gd-plots">
-                <div className="plot-card">
+            {/* Learning-rate schedule */}
+            <div className="gd-optimizer gd-schedule">
+                <label className="gd-option">
+                    <span>Schedule</span>
+                    <select className="form-input" value={schedule} onChange={(e) => changeSchedule(e.target.value)}>
+                        {SCHEDULES.map(type => (
+                            <option key={type} value={type}>{scheduleLabels[type]}</option>
+                        ))}
+                    </select>
+                </label>
+                {scheduleParameters[schedule].map(spec => (
+                    <label key={spec.key} className="gd-option">
+                        <span>{spec.label}</span>
+                        <input
+                            type="number"
+                            className="form-input gd-hyperparameter"
+                            min={spec.min}
+                            max={spec.max}
+                            step={spec.step}
+                            value={scheduleSettings[spec.key]}
+                            onChange={(e) => changeScheduleParameter(spec.key, parseFloat(e.target.value))}
+                        />
+                    </label>
+                ))}
+                <span className="gd-update-formula">{scheduleFormulas[schedule]}</span>
+                <div className="gd-schedule-preview">
                     <Plot
-                        data={lossPlotData}
-                        layout={lossPlotLayout}
+                        data={schedulePlotData}
+                        layout={schedulePlotLayout}
                         config={plotConfig}
-                        style={{ width: '100%', height: '300px' }}
+                        style={{ width: '100%', height: '120px' }}
                         useResizeHandler={true}
                     />
                 </div>
+            </div>
 
-                <div className="plot-card">
-                    <Plot
-                        data={regressionPlotData}
-                        layout={regressionPlotLayout}
-                        config={plotConfig}
-                        style={{ width: '100%', height: '300px' }}
-                        useResizeHandler={true}
-                    />
+            {comparing ? (
+                <OptimizerRace
+                    configs={raceConfigs}
+                    hyperparameters={raceHyperparameters}
+                    runs={raceRuns}
+                    onChange={changeRace}
+                    currentStep={currentStep}
+                    start={{ slope: initialWeight, intercept: initialBias }}
+                    optimal={optimalSolution}
+                    optimalLoss={optimalLoss}
+                    tolerance={tolerance}
+                    onToleranceChange={setTolerance}
+                    contours={contours}
+                    weightTitle={weightTitle}
+                />
+            ) : (
+                <>
+                {/* Status Badges */}
+                <div className="gd-status">
+                    {hasDiverged ? (
+                        <div className="badge badge-error">⚠️ Diverged! Try lower learning rate</div>
+                    ) : gdResult.converged && currentStep === gdResult.history.length ? (
+                        <div className="badge badge-success">✓ Converged</div>
+                    ) : (
+                        <div className="badge badge-primary">Running...</div>
+                    )}
+                    {!hasDiverged && (
+                        <div className="badge badge-primary">
+                            {convergedEpoch
+                                ? `Within 1% of optimal loss at epoch ${convergedEpoch}`
+                                : `Not within 1% of optimal loss after ${gdResult.history[gdResult.history.length - 1]?.epoch ?? 0} epochs`}
+                        </div>
+                    )}
+                    <button
+                        className={`btn btn-sm ${showSurface ? 'btn-primary' : 'btn-secondary'} gd-surface-toggle`}
+                        onClick={() => setShowSurface(prev => !prev)}
+                        title="Show the path on a 3D cost surface"
+                    >
+                        <Box size={14} /> 3D Surface
+                    </button>
                 </div>
 
-                <div className="plot-card">
-                    <Plot
-                        data={trajectoryPlotData}
-                        layout={trajectoryPlotLayout}
-                        config={plotConfig}
-                        style={{ width: '100%', height: '300px' }}
-                        useResizeHandler={true}
-                    />
+                {/* Metrics Display */}
+                <div className="gd-metrics">
+                    <div className="metric-box">
+                        <div className="metric-label">Current Loss</div>
+                        <div className={`metric-value ${hasDiverged ? 'negative' : ''}`}>
+                            {formatNumber(currentState.loss, 4)}
+                        </div>
+                    </div>
+                    <div className="metric-box">
+                        <div className="metric-label">Weight (m){scaledNote}</div>
+                        <div className="metric-value neutral">{formatNumber(currentState.slope, 4)}</div>
+                    </div>
+                    <div className="metric-box">
+                        <div className="metric-label">Bias (b)</div>
+                        <div className="metric-value neutral">{formatNumber(currentState.intercept, 4)}</div>
+                    </div>
+                    <div className="metric-box">
+                        <div className="metric-label">Optimal Weight{scaledNote}</div>
+                        <div className="metric-value positive">{formatNumber(optimalSolution.slope, 4)}</div>
+                    </div>
+                    <div className="metric-box">
+                        <div className="metric-label">Optimal Bias</div>
+                        <div className="metric-value positive">{formatNumber(optimalSolution.intercept, 4)}</div>
+                    </div>
+                    <div className="metric-box">
+                        <div className="metric-label">Weight Error</div>
+                        <div className="metric-value">
+                            {formatNumber(Math.abs(currentState.slope - optimalSolution.slope), 4)}
+                        </div>
+                    </div>
                 </div>
-            </div>
+
+                {/* Plots */}
+                <div className="gd-plots">
+                    <div className="plot-card">
+                        <Plot
+                            data={lossPlotData}
+                            layout={lossPlotLayout}
+                            config={plotConfig}
+                            style={{ width: '100%', height: '300px' }}
+                            useResizeHandler={true}
+                        />
+                    </div>
+
+                    <div className="plot-card">
+                        <Plot
+                            data={regressionPlotData}
+                            layout={regressionPlotLayout}
+                            config={plotConfig}
+                            style={{ width: '100%', height: '300px' }}
+                            useResizeHandler={true}
+                        />
+                    </div>
+
+                    <div className="plot-card">
+                        <Plot
+                            data={trajectoryPlotData}
+                            layout={trajectoryPlotLayout}
+                            config={plotConfig}
+                            style={{ width: '100%', height: '300px' }}
+                            useResizeHandler={true}
+                        />
+                    </div>
+
+                    {showSurface && (
+                        <div className="plot-card gd-surface-card">
+                            <Plot
+                                data={surfacePlotData}
+                                layout={surfacePlotLayout}
+                                config={{ ...plotConfig, displayModeBar: true }}
+                                style={{ width: '100%', height: '420px' }}
+                                useResizeHandler={true}
+                            />
+                        </div>
+                    )}
+                </div>
+                <p className="gd-plot-note">
+                    Arrows at the current point show −∇J, the steepest way down, with its weight and
+                    bias components. They are drawn at a fixed length: only the direction is to scale,
+                    and it always crosses the contours at right angles.
+                </p>
+                </>
+            )}
         </div>
     );
 };
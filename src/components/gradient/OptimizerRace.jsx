@@ -0,0 +1,287 @@
+/**
+ * Optimizer Race Component
+ * Several gradient descent configurations on the same points and start
+ * - Add, remove and edit 2–5 runs (optimizer and learning rate), with the
+ *   hyperparameters each run uses
+ * - Overlaid loss curves and parameter paths on the cost contours
+ * - Results table: epochs to tolerance, final loss and parameters
+ * Runs are computed by GradientDescentSimulator, which also drives playback.
+ */
+
+import Plot from 'react-plotly.js';
+import { useTheme } from '../../context/ThemeContext';
+import { epochsToTolerance, formatNumber } from '../../utils/regressionMath';
+import {
+    OPTIMIZERS,
+    optimizerLabels,
+    optimizerHyperparameters,
+    MIN_RACE_RUNS,
+    MAX_RACE_RUNS,
+    RACE_TOLERANCES,
+} from '../../utils/optimizers';
+import { plotConfig, plotColors, baseLayout, costContourTrace, parameterAxes } from '../../utils/gradientPlots';
+import { Plus, X, Trophy } from 'lucide-react';
+import './OptimizerRace.css';
+
+// One color per run, in order
+const runColors = ['#6366f1', '#ef4444', '#10b981', '#f59e0b', '#ec4899'];
+
+const OptimizerRace = ({
+    configs,
+    hyperparameters,
+    runs,
+    onChange,
+    currentStep,
+    start,
+    optimal,
+    optimalLoss,
+    tolerance,
+    onToleranceChange,
+    contours,
+    weightTitle,
+}) => {
+    const { isDark } = useTheme();
+
+    const updateConfig = (index, changes) => {
+        onChange(configs.map((config, i) => (i === index ? { ...config, ...changes } : config)));
+    };
+
+    // New runs try an optimizer that isn't racing yet
+    const addRun = () => {
+        const unused = OPTIMIZERS.find(type => !configs.some(c => c.optimizer === type)) ?? 'sgd';
+        onChange([...configs, { optimizer: unused, learningRate: 0.01 }]);
+    };
+
+    const removeRun = (index) => {
+        onChange(configs.filter((_, i) => i !== index));
+    };
+
+    const results = runs.map((run, i) => {
+        const last = run.history[run.history.length - 1];
+        return {
+            color: runColors[i],
+            label: `${optimizerLabels[configs[i].optimizer]} · α = ${configs[i].learningRate}`,
+            epochs: epochsToTolerance(run.history, optimalLoss, tolerance),
+            finalLoss: last ? last.loss : NaN,
+            finalSlope: run.finalSlope,
+            finalIntercept: run.finalIntercept,
+            diverged: !run.converged,
+            updatesPerEpoch: run.updatesPerEpoch || 1,
+        };
+    });
+
+    // Fewest epochs to tolerance wins; ties go to the lower final loss
+    const finishers = results.filter(r => r.epochs !== null);
+    const winner = finishers.length > 0
+        ? finishers.reduce((a, b) => (b.epochs < a.epochs || (b.epochs === a.epochs && b.finalLoss < a.finalLoss) ? b : a))
+        : null;
+
+    const colors = plotColors(isDark);
+
+    const lossPlotData = runs.map((run, i) => {
+        const shown = run.history.slice(0, currentStep);
+        return {
+            x: shown.map(h => h.step / results[i].updatesPerEpoch),
+            y: shown.map(h => h.loss),
+            type: 'scatter',
+            mode: 'lines',
+            name: results[i].label,
+            line: { color: results[i].color, width: 2 },
+        };
+    });
+
+    const lossPlotLayout = {
+        ...baseLayout(colors),
+        legend: { orientation: 'h', y: -0.2 },
+        title: { text: 'Loss vs Epoch', font: { size: 14 } },
+        xaxis: { title: 'Epoch', gridcolor: colors.grid },
+        yaxis: { title: 'MSE Loss (log scale)', gridcolor: colors.grid, type: 'log' },
+        shapes: [{
+            type: 'line',
+            xref: 'paper',
+            yref: 'y',
+            x0: 0,
+            x1: 1,
+            y0: optimalLoss * (1 + tolerance),
+            y1: optimalLoss * (1 + tolerance),
+            line: { color: colors.optimal, width: 1.5, dash: 'dash' },
+        }],
+    };
+
+    const trajectoryPlotData = [
+        costContourTrace(contours, colors),
+        ...runs.map((run, i) => {
+            const shown = run.history.slice(0, currentStep);
+            return {
+                x: [start.slope, ...shown.map(h => h.slope)],
+                y: [start.intercept, ...shown.map(h => h.intercept)],
+                type: 'scatter',
+                mode: 'lines+markers',
+                name: results[i].label,
+                line: { color: results[i].color, width: 2 },
+                marker: { size: 3 },
+                showlegend: false,
+            };
+        }),
+        {
+            x: [start.slope],
+            y: [start.intercept],
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Start',
+            marker: { color: colors.start, size: 14 },
+            showlegend: false,
+        },
+        {
+            x: [optimal.slope],
+            y: [optimal.intercept],
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Optimal',
+            marker: { color: colors.optimal, size: 14, symbol: 'star' },
+            showlegend: false,
+        },
+    ];
+
+    const trajectoryPlotLayout = {
+        ...baseLayout(colors),
+        title: { text: 'Parameter Space Trajectories', font: { size: 14 } },
+        ...parameterAxes(contours, weightTitle, colors),
+        showlegend: false,
+    };
+
+    return (
+        <div className="optimizer-race">
+            {/* Configurations */}
+            <div className="race-configs">
+                {configs.map((config, i) => (
+                    <div key={i} className="race-config" style={{ borderLeftColor: runColors[i] }}>
+                        <select
+                            className="form-input"
+                            value={config.optimizer}
+                            onChange={(e) => updateConfig(i, { optimizer: e.target.value })}
+                        >
+                            {OPTIMIZERS.map(type => (
+                                <option key={type} value={type}>{optimizerLabels[type]}</option>
+                            ))}
+                        </select>
+                        <label className="race-rate">
+                            α
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="0.0001"
+                                max="1"
+                                step="0.001"
+                                value={config.learningRate}
+                                onChange={(e) => {
+                                    const rate = parseFloat(e.target.value);
+                                    if (rate > 0) updateConfig(i, { learningRate: rate });
+                                }}
+                            />
+                        </label>
+                        {optimizerHyperparameters[config.optimizer].length > 0 && (
+                            <span className="race-hyperparameters">
+                                {optimizerHyperparameters[config.optimizer]
+                                    .map(spec => `${spec.label} = ${hyperparameters[i][spec.key]}`)
+                                    .join(', ')}
+                            </span>
+                        )}
+                        <button
+                            className="btn btn-icon btn-secondary race-remove"
+                            onClick={() => removeRun(i)}
+                            disabled={configs.length <= MIN_RACE_RUNS}
+                            title="Remove run"
+                        >
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))}
+                {configs.length < MAX_RACE_RUNS && (
+                    <button className="btn btn-sm btn-secondary" onClick={addRun}>
+                        <Plus size={14} /> Add Run
+                    </button>
+                )}
+                <label className="race-tolerance">
+                    <span>Finish line</span>
+                    <select
+                        className="form-input"
+                        value={tolerance}
+                        onChange={(e) => onToleranceChange(parseFloat(e.target.value))}
+                    >
+                        {RACE_TOLERANCES.map(value => (
+                            <option key={value} value={value}>within {value * 100}% of optimal loss</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <p className="race-note">
+                A run with the same optimizer as the single-run view uses the hyperparameters tuned
+                there; other runs use their optimizer's defaults. All runs share the schedule above.
+            </p>
+
+            {/* Plots */}
+            <div className="race-plots">
+                <div className="race-plot-card">
+                    <Plot
+                        data={lossPlotData}
+                        layout={lossPlotLayout}
+                        config={plotConfig}
+                        style={{ width: '100%', height: '360px' }}
+                        useResizeHandler={true}
+                    />
+                </div>
+                <div className="race-plot-card">
+                    <Plot
+                        data={trajectoryPlotData}
+                        layout={trajectoryPlotLayout}
+                        config={plotConfig}
+                        style={{ width: '100%', height: '360px' }}
+                        useResizeHandler={true}
+                    />
+                </div>
+            </div>
+
+            {/* Results */}
+            <table className="race-results">
+                <thead>
+                    <tr>
+                        <th>Run</th>
+                        <th>Epochs to {tolerance * 100}%</th>
+                        <th>Final Loss</th>
+                        <th>Final Weight</th>
+                        <th>Final Bias</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {results.map((result, i) => (
+                        <tr key={i} className={result === winner ? 'race-winner' : ''}>
+                            <td>
+                                <span className="race-swatch" style={{ background: result.color }} />
+                                {result.label}
+                            </td>
+                            <td>{result.epochs ?? '—'}</td>
+                            <td>{formatNumber(result.finalLoss, 4)}</td>
+                            <td>{formatNumber(result.finalSlope, 4)}</td>
+                            <td>{formatNumber(result.finalIntercept, 4)}</td>
+                            <td>
+                                {result.diverged ? (
+                                    <span className="badge badge-error">Diverged</span>
+                                ) : result === winner ? (
+                                    <span className="badge badge-success"><Trophy size={12} /> Fastest</span>
+                                ) : result.epochs === null ? (
+                                    <span className="badge badge-warning">Not reached</span>
+                                ) : (
+                                    <span className="badge badge-primary">Finished</span>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default OptimizerRace;
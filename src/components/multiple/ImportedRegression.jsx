@@ -0,0 +1,287 @@
+/**
+ * Imported Multiple Regression Component
+ * Fit a multiple regression to a CSV/TSV file with real-world mess in it
+ * - Column roles: target, predictor or ignored
+ * - Missing values: drop rows, or mean / median imputation
+ * - Categorical predictors: dummy coding with a chosen reference level, or one-hot
+ * - Coefficient table that flags aliased columns (the dummy-variable trap)
+ */
+
+import { useState, useMemo, useRef } from 'react';
+import { Upload, FileText, AlertTriangle } from 'lucide-react';
+import { parseDelimited } from '../../utils/csv';
+import { describeColumns, buildModelData, encodedLevels } from '../../utils/preprocessing';
+import { fitOLS, calculateCoefficientInference, formatNumber, formatPValue } from '../../utils/regressionMath';
+import { neighborhoodCsv } from '../../data/neighborhoodSample';
+import './ImportedRegression.css';
+
+const missingStrategies = [
+    { key: 'drop', label: 'Drop rows' },
+    { key: 'mean', label: 'Mean imputation' },
+    { key: 'median', label: 'Median imputation' },
+];
+
+/**
+ * Default column setup: the last numeric column is the target,
+ * everything else a predictor with dummy coding on its first level
+ */
+const initialSetup = (columns) => {
+    const numeric = columns.filter(c => c.type === 'numeric');
+    const target = numeric.length > 0 ? numeric[numeric.length - 1].index : null;
+
+    return columns.map(c => ({
+        role: c.index === target ? 'target' : 'predictor',
+        encoding: 'dummy',
+        reference: c.levels[0] ?? null,
+    }));
+};
+
+const ImportedRegression = () => {
+    const [fileName, setFileName] = useState(null);
+    const [table, setTable] = useState(null);
+    const [setup, setSetup] = useState([]);
+    const [missing, setMissing] = useState('drop');
+    const [intercept, setIntercept] = useState(true);
+    const [error, setError] = useState(null);
+    const inputRef = useRef(null);
+
+    const columns = useMemo(() => (table ? describeColumns(table) : []), [table]);
+
+    const loadText = (text, name) => {
+        const parsed = parseDelimited(text);
+        if (parsed.headers.length < 2) {
+            setError('The file needs at least two columns.');
+            return;
+        }
+        setTable(parsed);
+        setSetup(initialSetup(describeColumns(parsed)));
+        setFileName(name);
+        setError(null);
+    };
+
+    const readFile = (file) => {
+        if (!file) return;
+        file.text()
+            .then(text => loadText(text, file.name))
+            .catch(() => setError(`Could not read ${file.name}.`));
+    };
+
+    const updateColumn = (index, changes) => {
+        setSetup(prev => prev.map((column, i) => {
+            // Only one target at a time: the old one becomes a predictor
+            if (changes.role === 'target' && i !== index && column.role === 'target') {
+                return { ...column, role: 'predictor' };
+            }
+            return i === index ? { ...column, ...changes } : column;
+        }));
+    };
+
+    // Build the design matrix and fit
+    const model = useMemo(() => {
+        const target = setup.findIndex(c => c.role === 'target');
+        if (!table || target === -1) return null;
+        if (columns[target].type !== 'numeric') {
+            return { problem: `The target "${columns[target].name}" must be numeric.` };
+        }
+
+        const predictors = setup.flatMap((c, column) => (
+            c.role === 'predictor' ? [{ column, encoding: c.encoding, reference: c.reference }] : []
+        ));
+
+        const data = buildModelData(table, { target, predictors, missing });
+        const width = data.featureNames.length + (intercept ? 1 : 0);
+        if (width === 0) return { ...data, problem: 'Choose at least one predictor or keep the intercept.' };
+        if (data.y.length <= width) {
+            return { ...data, problem: `Only ${data.y.length} usable rows for ${width} coefficients.` };
+        }
+
+        const fit = fitOLS(data.X, data.y, { intercept });
+        const inference = calculateCoefficientInference(fit);
+        const meanY = data.y.reduce((acc, v) => acc + v, 0) / data.y.length;
+        const tss = data.y.reduce((acc, v) => acc + (v - meanY) ** 2, 0);
+
+        return {
+            ...data,
+            fit,
+            inference,
+            names: intercept ? ['(Intercept)', ...data.featureNames] : data.featureNames,
+            r2: 1 - fit.rss / tss,
+        };
+    }, [table, columns, setup, missing, intercept]);
+
+    const hasOneHot = setup.some((c, i) => c.role === 'predictor' && columns[i]?.type === 'categorical' && c.encoding === 'onehot');
+
+    return (
+        <div className="imported-regression">
+            <div className="import-toolbar">
+                <button className="btn btn-sm btn-secondary" onClick={() => inputRef.current?.click()}>
+                    <Upload size={14} /> Import CSV
+                </button>
+                <button className="btn btn-sm btn-secondary" onClick={() => loadText(neighborhoodCsv, 'neighborhood-housing.csv')}>
+                    <FileText size={14} /> Load Example
+                </button>
+                {fileName && <span className="import-file">{fileName} · {table.rows.length} rows</span>}
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                    hidden
+                    onChange={(e) => {
+                        readFile(e.target.files[0]);
+                        e.target.value = '';
+                    }}
+                />
+            </div>
+
+            {error && <p className="import-error">{error}</p>}
+
+            {table && (
+                <>
+                    <table className="column-setup">
+                        <thead>
+                            <tr>
+                                <th>Column</th>
+                                <th>Type</th>
+                                <th>Missing</th>
+                                <th>Role</th>
+                                <th>Encoding</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {columns.map((column, i) => (
+                                <tr key={column.index}>
+                                    <td className="column-name">{column.name}</td>
+                                    <td>
+                                        <span className={`badge ${column.type === 'numeric' ? 'badge-primary' : 'badge-warning'}`}>
+                                            {column.type === 'numeric' ? 'numeric' : `${column.levels.length} levels`}
+                                        </span>
+                                    </td>
+                                    <td className={column.missing > 0 ? 'has-missing' : ''}>{column.missing}</td>
+                                    <td>
+                                        <select
+                                            className="form-input"
+                                            value={setup[i].role}
+                                            onChange={(e) => updateColumn(i, { role: e.target.value })}
+                                        >
+                                            <option value="target" disabled={column.type !== 'numeric'}>Target (y)</option>
+                                            <option value="predictor">Predictor</option>
+                                            <option value="ignore">Ignore</option>
+                                        </select>
+                                    </td>
+                                    <td>
+                                        {column.type === 'categorical' && setup[i].role === 'predictor' && (
+                                            <div className="encoding-controls">
+                                                <select
+                                                    className="form-input"
+                                                    value={setup[i].encoding}
+                                                    onChange={(e) => updateColumn(i, { encoding: e.target.value })}
+                                                >
+                                                    <option value="dummy">Dummy (k − 1)</option>
+                                                    <option value="onehot">One-hot (k)</option>
+                                                </select>
+                                                {setup[i].encoding === 'dummy' && (
+                                                    <select
+                                                        className="form-input"
+                                                        value={setup[i].reference}
+                                                        onChange={(e) => updateColumn(i, { reference: e.target.value })}
+                                                        title="Reference level, absorbed by the intercept"
+                                                    >
+                                                        {column.levels.map(level => (
+                                                            <option key={level} value={level}>ref: {level}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                                <span className="encoding-columns">
+                                                    → {encodedLevels(column.levels, setup[i]).length} columns
+                                                </span>
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="import-options">
+                        <label className="import-option">
+                            <span>Missing values</span>
+                            <select className="form-input" value={missing} onChange={(e) => setMissing(e.target.value)}>
+                                {missingStrategies.map(s => (
+                                    <option key={s.key} value={s.key}>{s.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <div className="toggle-container">
+                            <div className={`toggle ${intercept ? 'active' : ''}`} onClick={() => setIntercept(!intercept)} />
+                            <span>Fit intercept</span>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {model && (
+                <div className="import-results">
+                    <div className="import-summary">
+                        <span><strong>{model.y.length}</strong> rows used</span>
+                        {model.dropped.length > 0 && (
+                            <span className="summary-dropped" title={model.dropped.map(d => `Line ${d.line}: ${d.reason}`).join('\n')}>
+                                {model.dropped.length} dropped
+                            </span>
+                        )}
+                        {Object.entries(model.imputed).map(([name, count]) => (
+                            <span key={name} className="summary-imputed">{count} imputed in {name}</span>
+                        ))}
+                        {model.fit && <span>R² = <strong>{formatNumber(model.r2, 4)}</strong></span>}
+                    </div>
+
+                    {model.problem && <p className="import-error">{model.problem}</p>}
+
+                    {model.fit && model.fit.aliased.length > 0 && (
+                        <div className="trap-warning">
+                            <AlertTriangle size={18} />
+                            <p>
+                                <strong>{model.fit.aliased.map(j => model.names[j]).join(', ')}</strong>
+                                {model.fit.aliased.length === 1 ? ' is' : ' are'} an exact linear combination of earlier columns,
+                                so {model.fit.aliased.length === 1 ? 'its coefficient is' : 'their coefficients are'} not identifiable.
+                                {hasOneHot && intercept && ' The one-hot columns of a variable always add up to 1, the same as the intercept column — the dummy-variable trap. Use dummy coding, or drop the intercept.'}
+                            </p>
+                        </div>
+                    )}
+
+                    {model.fit && (
+                        <table className="coefficient-table">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Estimate</th>
+                                    <th>Std. Err</th>
+                                    <th>t</th>
+                                    <th>p</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {model.inference.coefficients.map((row, j) => (
+                                    <tr key={model.names[j]} className={row.aliased ? 'aliased' : ''}>
+                                        <td className="row-label">{model.names[j]}</td>
+                                        {row.aliased ? (
+                                            <td colSpan={4}>aliased (NA)</td>
+                                        ) : (
+                                            <>
+                                                <td>{formatNumber(row.estimate, 4)}</td>
+                                                <td>{formatNumber(row.standardError, 4)}</td>
+                                                <td>{formatNumber(row.tStatistic, 2)}</td>
+                                                <td className={row.pValue < 0.05 ? 'significant' : ''}>{formatPValue(row.pValue)}</td>
+                                            </>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportedRegression;
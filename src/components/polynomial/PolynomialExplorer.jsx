@@ -0,0 +1,421 @@
+/**
+ * Polynomial Regression Explorer Component
+ * Overfitting demo: fit polynomials of degree 1–15 to noisy samples of a curve
+ * - Degree slider with the fitted curve against the true model
+ * - Random train / validation split
+ * - Training vs validation error for every degree
+ * - Simulated bias², variance and expected test error (the U-curve)
+ */
+
+import { useMemo } from 'react';
+import Plot from 'react-plotly.js';
+import { useTheme } from '../../context/ThemeContext';
+import { useSeed } from '../../hooks/useSeed';
+import { useUrlState, codecs } from '../../hooks/useUrlState';
+import SeedControl from '../common/SeedControl';
+import {
+    fitPolynomial,
+    polynomialErrorCurve,
+    polynomialBiasVariance,
+    generateSyntheticDataset,
+    trueModel,
+    formatNumber,
+} from '../../utils/regressionMath';
+import { createRandom, shuffle } from '../../utils/random';
+import './PolynomialExplorer.css';
+
+const MAX_DEGREE = 15;
+
+// Share of the sample held out for validation
+const VALIDATION_SHARE = 1 / 3;
+
+// A gentle trend plus a sine wave: a line underfits, a handful of powers fit it well
+const TRUE_MODEL = { slope: 0.5, intercept: 2, truth: 'sinusoid', curvature: 1.5 };
+const truth = trueModel(TRUE_MODEL);
+
+// x grids for drawing curves, and for the bias–variance simulation. The latter
+// leaves out the edges, where some draws have no data and every fit extrapolates.
+const curveX = Array.from({ length: 201 }, (_, i) => i / 20);
+const interiorX = Array.from({ length: 41 }, (_, i) => 1 + i / 5);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const PolynomialExplorer = () => {
+    const { isDark } = useTheme();
+    const [storedDegree, setDegree] = useUrlState('degree', 3, codecs.integer);
+    const [storedSize, setSize] = useUrlState('n', 30, codecs.integer);
+    const [noise, setNoise] = useUrlState('noise', 1, codecs.number);
+    const [seed, setSeed] = useSeed(1);
+
+    const degree = clamp(storedDegree, 1, MAX_DEGREE);
+    const sampleSize = clamp(storedSize, 15, 120);
+    const noiseSd = clamp(noise, 0, 3);
+
+    // Sample and a seeded train / validation split
+    const { train, validation } = useMemo(() => {
+        const { points } = generateSyntheticDataset({ ...TRUE_MODEL, n: sampleSize, noiseSd }, seed);
+        const order = shuffle(points.map((_, i) => i), createRandom(seed + 1));
+        const cut = Math.round(points.length * (1 - VALIDATION_SHARE));
+        return {
+            train: order.slice(0, cut).map(i => points[i]),
+            validation: order.slice(cut).map(i => points[i]),
+        };
+    }, [sampleSize, noiseSd, seed]);
+
+    const model = useMemo(() => fitPolynomial(train, degree), [train, degree]);
+
+    const errorCurve = useMemo(() => polynomialErrorCurve(train, validation, MAX_DEGREE), [train, validation]);
+
+    // Fresh training sets of the same size from the same curve
+    const biasVariance = useMemo(() => {
+        const drawSample = (s) => generateSyntheticDataset({ ...TRUE_MODEL, n: train.length, noiseSd }, s).points;
+        return polynomialBiasVariance(drawSample, truth, interiorX, { maxDegree: MAX_DEGREE, seed });
+    }, [train.length, noiseSd, seed]);
+
+    const current = errorCurve[degree - 1];
+    const best = errorCurve.reduce((a, b) => (b.validationError < a.validationError ? b : a));
+
+    const verdict = degree < best.degree
+        ? { label: 'Underfitting: too rigid to follow the curve', badge: 'badge-warning' }
+        : degree > best.degree
+            ? { label: 'Overfitting: chasing the noise in the training set', badge: 'badge-error' }
+            : { label: 'Lowest validation error', badge: 'badge-success' };
+
+    const colors = {
+        bg: isDark ? '#1e1e32' : '#ffffff',
+        grid: isDark ? '#2d2d44' : '#e5e7eb',
+        text: isDark ? '#cbd5e1' : '#4a4a68',
+        train: '#6366f1',
+        validation: '#10b981',
+        fit: '#8b5cf6',
+        truth: '#f59e0b',
+        validationError: '#ef4444',
+        bias: '#f59e0b',
+        variance: '#ec4899',
+        total: '#ef4444',
+        marker: isDark ? '#94a3b8' : '#9ca3af',
+    };
+
+    const baseLayout = {
+        autosize: true,
+        margin: { l: 60, r: 20, t: 40, b: 50 },
+        paper_bgcolor: colors.bg,
+        plot_bgcolor: colors.bg,
+        font: { color: colors.text, family: 'Inter, sans-serif' },
+        legend: { orientation: 'h', y: -0.22 },
+    };
+
+    const plotConfig = {
+        displayModeBar: false,
+        responsive: true,
+    };
+
+    // Wild high-degree curves are clipped to the data's range
+    const allY = [...train, ...validation].map(p => p.y);
+    const yPad = 0.25 * (Math.max(...allY) - Math.min(...allY) || 1);
+
+    const fitPlotData = [
+        {
+            x: curveX,
+            y: curveX.map(truth),
+            type: 'scatter',
+            mode: 'lines',
+            name: 'True Curve',
+            line: { color: colors.truth, width: 2, dash: 'dash' },
+            hoverinfo: 'skip',
+        },
+        {
+            x: curveX,
+            y: curveX.map(model.predict),
+            type: 'scatter',
+            mode: 'lines',
+            name: `Degree ${degree} Fit`,
+            line: { color: colors.fit, width: 3 },
+            hoverinfo: 'skip',
+        },
+        {
+            x: train.map(p => p.x),
+            y: train.map(p => p.y),
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Training',
+            marker: { color: colors.train, size: 9 },
+        },
+        {
+            x: validation.map(p => p.x),
+            y: validation.map(p => p.y),
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Validation',
+            marker: { color: colors.validation, size: 9, symbol: 'diamond' },
+        },
+    ];
+
+    const fitPlotLayout = {
+        ...baseLayout,
+        title: { text: 'Fitted Curve', font: { size: 14 } },
+        xaxis: { title: 'x', gridcolor: colors.grid, zerolinecolor: colors.grid, range: [0, 10] },
+        yaxis: {
+            title: 'y',
+            gridcolor: colors.grid,
+            zerolinecolor: colors.grid,
+            range: [Math.min(...allY) - yPad, Math.max(...allY) + yPad],
+        },
+    };
+
+    // Log axes for the error curves: from just below the smallest error (but not far
+    // below the noise floor) up to 100× the straight line's, so exploding degrees don't flatten the rest
+    const degrees = errorCurve.map(e => e.degree);
+    const logRange = (values, floor, lineError) => {
+        const low = Math.max(Math.min(...values, floor), floor / 100);
+        return [Math.log10(low) - 0.3, Math.log10(Math.max(lineError, floor) * 100)];
+    };
+
+    const degreeMarker = {
+        type: 'line',
+        xref: 'x',
+        yref: 'paper',
+        x0: degree,
+        x1: degree,
+        y0: 0,
+        y1: 1,
+        line: { color: colors.marker, width: 2, dash: 'dot' },
+    };
+
+    const errorPlotData = [
+        {
+            x: degrees,
+            y: errorCurve.map(e => e.trainError),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Training MSE',
+            line: { color: colors.train, width: 2 },
+        },
+        {
+            x: degrees,
+            y: errorCurve.map(e => e.validationError),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Validation MSE',
+            line: { color: colors.validationError, width: 2 },
+        },
+        {
+            x: [best.degree],
+            y: [best.validationError],
+            type: 'scatter',
+            mode: 'markers',
+            name: 'Best Validation',
+            marker: { color: colors.validationError, size: 14, symbol: 'star' },
+        },
+    ];
+
+    const errorPlotLayout = {
+        ...baseLayout,
+        title: { text: 'Training vs Validation Error', font: { size: 14 } },
+        xaxis: { title: 'Degree', gridcolor: colors.grid, dtick: 1 },
+        yaxis: {
+            title: 'MSE (log scale)',
+            gridcolor: colors.grid,
+            type: 'log',
+            range: logRange(
+                errorCurve.flatMap(e => [e.trainError, e.validationError]),
+                noiseSd ** 2 || 0.01,
+                errorCurve[0].validationError
+            ),
+        },
+        shapes: [degreeMarker],
+    };
+
+    const noiseVariance = noiseSd ** 2;
+    const expectedError = biasVariance.map(b => b.bias2 + b.variance + noiseVariance);
+
+    const biasVariancePlotData = [
+        {
+            x: degrees,
+            y: biasVariance.map(b => b.bias2),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Bias²',
+            line: { color: colors.bias, width: 2 },
+        },
+        {
+            x: degrees,
+            y: biasVariance.map(b => b.variance),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Variance',
+            line: { color: colors.variance, width: 2 },
+        },
+        {
+            x: degrees,
+            y: expectedError,
+            type: 'scatter',
+            mode: 'lines',
+            name: 'Expected Test Error',
+            line: { color: colors.total, width: 3 },
+        },
+        ...(noiseVariance > 0 ? [{
+            x: [1, MAX_DEGREE],
+            y: [noiseVariance, noiseVariance],
+            type: 'scatter',
+            mode: 'lines',
+            name: 'Noise σ²',
+            line: { color: colors.marker, width: 1.5, dash: 'dash' },
+            hoverinfo: 'skip',
+        }] : []),
+    ];
+
+    const biasVariancePlotLayout = {
+        ...baseLayout,
+        title: { text: 'Bias–Variance Tradeoff', font: { size: 14 } },
+        xaxis: { title: 'Degree', gridcolor: colors.grid, dtick: 1 },
+        yaxis: {
+            title: 'Error (log scale)',
+            gridcolor: colors.grid,
+            type: 'log',
+            range: logRange(
+                biasVariance.flatMap(b => [b.bias2, b.variance]),
+                noiseVariance || 0.01,
+                expectedError[0]
+            ),
+        },
+        shapes: [degreeMarker],
+    };
+
+    return (
+        <div className="poly-explorer">
+            {/* Controls */}
+            <div className="poly-controls">
+                <div className="poly-control">
+                    <h4>Degree</h4>
+                    <div className="slider-container">
+                        <div className="slider-header">
+                            <span className="slider-value">{degree}</span>
+                        </div>
+                        <input
+                            type="range"
+                            className="slider"
+                            min="1"
+                            max={MAX_DEGREE}
+                            step="1"
+                            value={degree}
+                            onChange={(e) => setDegree(parseInt(e.target.value))}
+                        />
+                    </div>
+                </div>
+
+                <div className="poly-control">
+                    <h4>Sample Size</h4>
+                    <div className="slider-container">
+                        <div className="slider-header">
+                            <span className="slider-value">{train.length} train · {validation.length} validation</span>
+                        </div>
+                        <input
+                            type="range"
+                            className="slider"
+                            min="15"
+                            max="120"
+                            step="3"
+                            value={sampleSize}
+                            onChange={(e) => setSize(parseInt(e.target.value))}
+                        />
+                    </div>
+                </div>
+
+                <div className="poly-control">
+                    <h4>Noise σ</h4>
+                    <div className="slider-container">
+                        <div className="slider-header">
+                            <span className="slider-value">{noiseSd.toFixed(1)}</span>
+                        </div>
+                        <input
+                            type="range"
+                            className="slider"
+                            min="0"
+                            max="3"
+                            step="0.1"
+                            value={noiseSd}
+                            onChange={(e) => setNoise(parseFloat(e.target.value))}
+                        />
+                    </div>
+                </div>
+
+                <div className="poly-control">
+                    <h4>Data</h4>
+                    <SeedControl seed={seed} onChange={setSeed} />
+                </div>
+            </div>
+
+            {/* Metrics */}
+            <div className="poly-metrics">
+                <div className="metric-box">
+                    <div className="metric-label">Training MSE</div>
+                    <div className="metric-value neutral">{formatNumber(current.trainError, 3)}</div>
+                </div>
+                <div className="metric-box">
+                    <div className="metric-label">Validation MSE</div>
+                    <div className="metric-value">{formatNumber(current.validationError, 3)}</div>
+                </div>
+                <div className="metric-box">
+                    <div className="metric-label">Parameters</div>
+                    <div className="metric-value">{degree + 1}</div>
+                </div>
+                <div className="metric-box">
+                    <div className="metric-label">Best Degree</div>
+                    <div className="metric-value positive">
+                        {best.degree}
+                        {best.degree !== degree && (
+                            <button className="btn btn-sm btn-secondary poly-use-best" onClick={() => setDegree(best.degree)}>
+                                Use
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <div className="poly-status">
+                <span className={`badge ${verdict.badge}`}>{verdict.label}</span>
+                {model.fit.aliased.length > 0 && (
+                    <span className="badge badge-error">
+                        More coefficients than training points: {model.fit.aliased.length} set to 0
+                    </span>
+                )}
+            </div>
+
+            {/* Plots */}
+            <div className="poly-plots">
+                <div className="poly-plot-card poly-fit-plot">
+                    <Plot
+                        data={fitPlotData}
+                        layout={fitPlotLayout}
+                        config={plotConfig}
+                        style={{ width: '100%', height: '400px' }}
+                        useResizeHandler={true}
+                    />
+                </div>
+
+                <div className="poly-plot-card">
+                    <Plot
+                        data={errorPlotData}
+                        layout={errorPlotLayout}
+                        config={plotConfig}
+                        style={{ width: '100%', height: '340px' }}
+                        useResizeHandler={true}
+                    />
+                </div>
+
+                <div className="poly-plot-card">
+                    <Plot
+                        data={biasVariancePlotData}
+                        layout={biasVariancePlotLayout}
+                        config={plotConfig}
+                        style={{ width: '100%', height: '340px' }}
+                        useResizeHandler={true}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PolynomialExplorer;
@@ -0,0 +1,151 @@
+/**
+ * CSV Import Component
+ * Load a point set from a CSV/TSV file
+ * - File picker and drag-and-drop
+ * - Choose which columns become x and y
+ * - Report of rows skipped for missing or non-numeric values
+ */
+
+import { useState, useMemo, useRef } from 'react';
+import { Upload, FileText, X } from 'lucide-react';
+import { parseDelimited, extractPoints, numericColumns } from '../../utils/csv';
+import './CsvImport.css';
+
+// Skipped rows listed individually before summarizing the rest
+const MAX_SKIPPED_SHOWN = 8;
+
+const CsvImport = ({ onLoad, onClose }) => {
+    const [fileName, setFileName] = useState(null);
+    const [table, setTable] = useState(null);
+    const [xColumn, setXColumn] = useState(0);
+    const [yColumn, setYColumn] = useState(1);
+    const [error, setError] = useState(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const inputRef = useRef(null);
+
+    const readFile = (file) => {
+        if (!file) return;
+
+        file.text().then(text => {
+            const parsed = parseDelimited(text);
+            if (parsed.headers.length < 2) {
+                setError('The file needs at least two columns.');
+                setTable(null);
+                return;
+            }
+
+            // Default to the first two mostly-numeric columns
+            const numeric = numericColumns(parsed);
+            setXColumn(numeric[0] ?? 0);
+            setYColumn(numeric[1] ?? (numeric[0] === 1 ? 0 : 1));
+            setFileName(file.name);
+            setTable(parsed);
+            setError(null);
+        }).catch(() => {
+            setError(`Could not read ${file.name}.`);
+        });
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        readFile(e.dataTransfer.files[0]);
+    };
+
+    const result = useMemo(() => {
+        if (!table) return null;
+        return extractPoints(table, xColumn, yColumn);
+    }, [table, xColumn, yColumn]);
+
+    const columnSelect = (id, label, value, onChange) => (
+        <label className="csv-column" htmlFor={id}>
+            <span>{label}</span>
+            <select
+                id={id}
+                className="form-input"
+                value={value}
+                onChange={(e) => onChange(parseInt(e.target.value, 10))}
+            >
+                {table.headers.map((header, j) => (
+                    <option key={j} value={j}>{header}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    return (
+        <div className="csv-import">
+            <div className="csv-header">
+                <h4>Import CSV / TSV</h4>
+                <button className="btn btn-sm btn-secondary btn-icon" onClick={onClose} title="Close">
+                    <X size={14} />
+                </button>
+            </div>
+
+            <div
+                className={`csv-dropzone ${isDragging ? 'dragging' : ''}`}
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    setIsDragging(true);
+                }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                onClick={() => inputRef.current?.click()}
+            >
+                {fileName ? <FileText size={24} /> : <Upload size={24} />}
+                <span>{fileName ?? 'Drop a file here or click to browse'}</span>
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                    hidden
+                    onChange={(e) => {
+                        readFile(e.target.files[0]);
+                        e.target.value = '';
+                    }}
+                />
+            </div>
+
+            {error && <p className="csv-error">{error}</p>}
+
+            {table && result && (
+                <>
+                    <div className="csv-mapping">
+                        {columnSelect('csv-x-column', 'x column', xColumn, setXColumn)}
+                        {columnSelect('csv-y-column', 'y column', yColumn, setYColumn)}
+                    </div>
+
+                    <div className="csv-summary">
+                        <span>
+                            <strong>{result.points.length}</strong> of {table.rows.length} rows usable
+                        </span>
+                        {result.skipped.length > 0 && (
+                            <span className="csv-skipped-count">{result.skipped.length} skipped</span>
+                        )}
+                    </div>
+
+                    {result.skipped.length > 0 && (
+                        <ul className="csv-skipped">
+                            {result.skipped.slice(0, MAX_SKIPPED_SHOWN).map(row => (
+                                <li key={row.line}>Line {row.line}: {row.reason}</li>
+                            ))}
+                            {result.skipped.length > MAX_SKIPPED_SHOWN && (
+                                <li>…and {result.skipped.length - MAX_SKIPPED_SHOWN} more</li>
+                            )}
+                        </ul>
+                    )}
+
+                    <button
+                        className="btn btn-sm btn-primary"
+                        disabled={result.points.length === 0 || xColumn === yColumn}
+                        onClick={() => onLoad(result.points)}
+                    >
+                        <Upload size={14} /> Load {result.points.length} Points
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CsvImport;
@@ -0,0 +1,109 @@
+/**
+ * Synthetic Data Generator Component
+ * Build a dataset from a known true model, then see how well the fit recovers it
+ * - True slope, intercept and sample size
+ * - x distribution: uniform, normal or clustered
+ * - Noise shape (Gaussian, Laplace, Student-t), level and heteroscedasticity
+ * - Nonlinear ground truth and an injected outlier rate
+ * Every change regenerates the data with the same seed.
+ */
+
+import { Shuffle, X } from 'lucide-react';
+import { X_DISTRIBUTIONS, NOISE_DISTRIBUTIONS, TRUE_MODELS } from '../../utils/regressionMath';
+import './DataGenerator.css';
+
+// Option labels for the select inputs
+const labels = {
+    uniform: 'Uniform',
+    normal: 'Normal',
+    clustered: 'Three clusters',
+    gaussian: 'Gaussian',
+    laplace: 'Laplace',
+    studentT: 'Student-t (3 df)',
+    linear: 'Linear',
+    quadratic: 'Quadratic',
+    sinusoid: 'Sinusoid',
+    exponential: 'Exponential',
+};
+
+// The nonlinear term added to the true line
+const truthFormulas = {
+    linear: 'y = b + m·x',
+    quadratic: 'y = b + m·x + 0.2c·(x − 5)²',
+    sinusoid: 'y = b + m·x + 2c·sin(x)',
+    exponential: 'y = b + m·x + 0.2c·(e^(0.4x) − 1)',
+};
+
+const sliders = [
+    { key: 'n', label: 'Points (n)', min: 5, max: 200, step: 1 },
+    { key: 'slope', label: 'True slope (m)', min: -5, max: 5, step: 0.1 },
+    { key: 'intercept', label: 'True intercept (b)', min: -10, max: 10, step: 0.5 },
+    { key: 'noiseSd', label: 'Noise SD', min: 0, max: 5, step: 0.1 },
+    { key: 'heteroscedasticity', label: 'Noise growth with x', min: 0, max: 3, step: 0.1 },
+    { key: 'curvature', label: 'Nonlinearity (c)', min: -3, max: 3, step: 0.1 },
+    { key: 'outlierRate', label: 'Outlier rate', min: 0, max: 0.3, step: 0.01 },
+];
+
+const DataGenerator = ({ options, onChange, onRegenerate, onClose }) => {
+    const update = (key, value) => onChange({ ...options, [key]: value });
+
+    const selectField = (key, label, values) => (
+        <label className="generator-field">
+            <span>{label}</span>
+            <select className="form-input" value={options[key]} onChange={(e) => update(key, e.target.value)}>
+                {values.map(value => (
+                    <option key={value} value={value}>{labels[value]}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    return (
+        <div className="data-generator">
+            <div className="generator-header">
+                <h4>Synthetic Data Generator</h4>
+                <button className="btn btn-sm btn-secondary btn-icon" onClick={onClose} title="Close">
+                    <X size={14} />
+                </button>
+            </div>
+
+            <div className="generator-selects">
+                {selectField('truth', 'True model', TRUE_MODELS)}
+                {selectField('xDistribution', 'x distribution', X_DISTRIBUTIONS)}
+                {selectField('noise', 'Noise distribution', NOISE_DISTRIBUTIONS)}
+            </div>
+
+            <div className="generator-sliders">
+                {sliders.map(({ key, label, min, max, step }) => (
+                    <div className="slider-container" key={key}>
+                        <div className="slider-header">
+                            <span className="slider-label">{label}</span>
+                            <span className="slider-value">
+                                {key === 'outlierRate' ? `${Math.round(options[key] * 100)}%` : options[key]}
+                            </span>
+                        </div>
+                        <input
+                            type="range"
+                            className="slider"
+                            min={min}
+                            max={max}
+                            step={step}
+                            value={options[key]}
+                            disabled={key === 'curvature' && options.truth === 'linear'}
+                            onChange={(e) => update(key, parseFloat(e.target.value))}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="generator-footer">
+                <code className="generator-formula">{truthFormulas[options.truth]}</code>
+                <button className="btn btn-sm btn-primary" onClick={onRegenerate}>
+                    <Shuffle size={14} /> New Draw
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DataGenerator;
@@ -0,0 +1,165 @@
+/**
+ * Editable Points Table Component
+ * Spreadsheet-style view of the visualizer's point set
+ * - Edit x / y cells directly
+ * - Paste a block copied from Excel or Google Sheets
+ * - Add and delete rows
+ */
+
+import { useState } from 'react';
+import { Plus, Trash2, ClipboardPaste } from 'lucide-react';
+import { parseDelimited, parseNumber } from '../../utils/csv';
+import { formatNumber } from '../../utils/regressionMath';
+import './PointsTable.css';
+
+const FIELDS = ['x', 'y'];
+
+/**
+ * Parse a pasted block into rows of numbers, dropping a header row if present
+ */
+const parsePastedBlock = (text) => {
+    const delimiter = text.includes('\t') ? '\t' : undefined;
+    const { rows } = parseDelimited(text, { delimiter, hasHeader: false });
+    const numericRows = rows.map(r => r.values.map(parseNumber));
+
+    if (numericRows.length > 0 && numericRows[0].every(isNaN)) {
+        numericRows.shift();
+    }
+    return numericRows;
+};
+
+const PointsTable = ({ points, selectedIndex, outlierIndices, onChange, onRemove, onSelect }) => {
+    // Text of the cell being edited, so partial input like "-" or "1." survives
+    const [draft, setDraft] = useState(null);
+    const [pasteNote, setPasteNote] = useState(null);
+
+    const updateCell = (index, field, text) => {
+        setDraft({ index, field, text });
+        const value = parseNumber(text);
+        if (!isNaN(value)) {
+            onChange(points.map((p, i) => (i === index ? { ...p, [field]: value } : p)));
+        }
+    };
+
+    // Write a pasted block starting at the given cell, growing the table as needed
+    const pasteBlock = (text, startIndex, startField) => {
+        const rows = parsePastedBlock(text);
+        const startColumn = FIELDS.indexOf(startField);
+        const next = [...points];
+        let skipped = 0;
+
+        rows.forEach((values, k) => {
+            const index = startIndex + k;
+            const existing = next[index];
+            const cell = {};
+            FIELDS.slice(startColumn).forEach((field, j) => {
+                if (!isNaN(values[j])) cell[field] = values[j];
+            });
+
+            if (existing) {
+                next[index] = { ...existing, ...cell };
+            } else if (cell.x !== undefined && cell.y !== undefined) {
+                next[index] = cell;
+            } else {
+                skipped++;
+            }
+        });
+
+        onChange(next.filter(Boolean));
+        setPasteNote(skipped > 0
+            ? `Pasted ${rows.length - skipped} rows, skipped ${skipped} incomplete`
+            : `Pasted ${rows.length} rows`);
+    };
+
+    const handlePaste = (e, index, field) => {
+        const text = e.clipboardData.getData('text');
+        // Single values paste into the cell as usual
+        if (!/[\t\n]/.test(text.trim())) return;
+        e.preventDefault();
+        e.stopPropagation();
+        setDraft(null);
+        pasteBlock(text, index, field);
+    };
+
+    const addRow = () => {
+        const last = points[points.length - 1];
+        onChange([...points, last ? { x: last.x + 1, y: last.y } : { x: 0, y: 0 }]);
+    };
+
+    const cellValue = (index, field) => {
+        if (draft && draft.index === index && draft.field === field) return draft.text;
+        return String(Number(formatNumber(points[index][field], 4)));
+    };
+
+    return (
+        <div
+            className="points-table"
+            tabIndex={0}
+            onPaste={(e) => handlePaste(e, points.length, 'x')}
+        >
+            <div className="points-table-header">
+                <h4>Data Points</h4>
+                <button className="btn btn-sm btn-secondary" onClick={addRow}>
+                    <Plus size={14} /> Row
+                </button>
+            </div>
+
+            {points.length === 0 ? (
+                <p className="points-table-empty">
+                    <ClipboardPaste size={16} />
+                    Click here and paste two columns from a spreadsheet, or add rows.
+                </p>
+            ) : (
+                <div className="points-table-scroll">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>x</th>
+                                <th>y</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {points.map((point, i) => (
+                                <tr
+                                    key={i}
+                                    className={`${selectedIndex === i ? 'selected' : ''} ${outlierIndices.has(i) ? 'outlier' : ''}`}
+                                >
+                                    <td className="row-index" onClick={() => onSelect(i)}>{i + 1}</td>
+                                    {FIELDS.map(field => (
+                                        <td key={field}>
+                                            <input
+                                                type="text"
+                                                inputMode="decimal"
+                                                value={cellValue(i, field)}
+                                                onChange={(e) => updateCell(i, field, e.target.value)}
+                                                onFocus={() => onSelect(i)}
+                                                onBlur={() => setDraft(null)}
+                                                onPaste={(e) => handlePaste(e, i, field)}
+                                                aria-label={`Point ${i + 1} ${field}`}
+                                            />
+                                        </td>
+                                    ))}
+                                    <td>
+                                        <button
+                                            className="row-delete"
+                                            onClick={() => onRemove(i)}
+                                            title="Delete row"
+                                        >
+                                            <Trash2 size={12} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {pasteNote && <p className="points-table-note">{pasteNote}</p>}
+        </div>
+    );
+};
+
+export default PointsTable;
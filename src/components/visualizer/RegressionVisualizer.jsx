@@ -5,40 +5,195 @@
  * - Live regression line updates
  * - Real-time metrics display
  * - Outlier toggle functionality
+ * - Coefficient inference summary
+ * - Confidence and prediction bands
+ * - Residual diagnostic plots
+ * - Seeded sample data; points (up to 500), toggles and settings kept in the URL
+ * - CSV / TSV import
+ * - Editable points table with spreadsheet paste
+ * - CSV / JSON export of data, model and metrics
+ * - Bundled teaching datasets, with their axis labels and units
+ * - Configurable synthetic generator with the true model overlaid
+ * - x / y transforms, viewed on the model's scale or back-transformed
  */
 
 import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../../context/ThemeContext';
+import { useSeed } from '../../hooks/useSeed';
+import { useUrlState, useUpdateSearchParams, codecs, oneOf } from '../../hooks/useUrlState';
+import DiagnosticsPanel from '../diagnostics/DiagnosticsPanel';
+import SeedControl from '../common/SeedControl';
+import ExportButtons from '../common/ExportButtons';
+import DatasetPicker from '../common/DatasetPicker';
+import CsvImport from './CsvImport';
+import DataGenerator from './DataGenerator';
+import PointsTable from './PointsTable';
 import {
     calculateLinearRegression,
     calculateAllMetrics,
+    calculateRegressionInference,
+    calculateIntervalBands,
     formatNumber,
+    formatPValue,
     generateSampleDataset,
+    generateSyntheticDataset,
+    normalizeSyntheticOptions,
+    trueModel,
+    SYNTHETIC_DEFAULTS,
 } from '../../utils/regressionMath';
-import { Trash2, RotateCcw, Download, Shuffle, Eye, EyeOff } from 'lucide-react';
+import { randomSeed } from '../../utils/random';
+import { datasets, getDataset, axisTitle } from '../../data/datasets';
+import { fitTransform, transformedName, transformLabels, TRANSFORMS } from '../../utils/transforms';
+import { toCsv, toJson, pointsWithPredictions } from '../../utils/exportData';
+import { Trash2, RotateCcw, Upload, Shuffle, Eye, EyeOff, FlaskConical } from 'lucide-react';
 import './RegressionVisualizer.css';
 
+// Confidence levels offered in the regression summary
+const CONFIDENCE_LEVELS = [0.9, 0.95, 0.99];
+
+// Generated samples and how they appear in the URL
+const SAMPLE_SIZE = 15;
+const SAMPLE_TYPES = oneOf(['linear', 'noisy', 'outliers', 'random']);
+
+const TRANSFORM_TYPES = oneOf(TRANSFORMS);
+
+const NO_POINTS = [];
+const NO_OUTLIERS = new Set();
+
+// Larger point sets stay out of the URL, which would otherwise grow without bound
+const MAX_URL_POINTS = 500;
+
+// Library datasets by id
+const DATASET_IDS = oneOf(datasets.map(d => d.id));
+
+/**
+ * Generator settings that differ from the defaults, all the URL needs to carry
+ */
+const changedOptions = (options) => Object.fromEntries(
+    Object.entries(options).filter(([key, value]) => value !== SYNTHETIC_DEFAULTS[key])
+);
+
+/**
+ * Points described by a query string: explicit points win over the
+ * dataset, generator settings or sample (type + seed) they may have started from
+ */
+const readPoints = (params) => {
+    const stored = params.get('points');
+    if (stored !== null) return codecs.points.parse(stored) ?? NO_POINTS;
+
+    const dataset = getDataset(params.get('dataset'));
+    if (dataset) return dataset.points;
+
+    const parsedSeed = codecs.integer.parse(params.get('seed'));
+    const seed = parsedSeed > 0 ? parsedSeed : 1;
+
+    const generator = params.get('gen');
+    if (generator !== null) return generateSyntheticDataset(codecs.record.parse(generator), seed).points;
+
+    const type = SAMPLE_TYPES.parse(params.get('sample'));
+    if (!type) return NO_POINTS;
+
+    return generateSampleDataset(type, SAMPLE_SIZE, seed);
+};
+
 const RegressionVisualizer = () => {
     const { isDark } = useTheme();
 
+    // Data and display settings live in the URL so a shared link restores this view
+    const updateParams = useUpdateSearchParams();
+    const [seed, setSeed] = useSeed();
+    const [sampleType] = useUrlState('sample', null, SAMPLE_TYPES);
+    const [storedPoints] = useUrlState('points', null, codecs.points);
+    const [datasetId] = useUrlState('dataset', null, DATASET_IDS);
+    const dataset = datasetId ? getDataset(datasetId) : null;
+    const [generatorParam] = useUrlState('gen', null, codecs.record);
+    const generatorOptions = useMemo(() => (
+        generatorParam ? normalizeSyntheticOptions(generatorParam) : null
+    ), [generatorParam]);
+    const [outlierIndices, setOutlierIndices] = useUrlState('outliers', NO_OUTLIERS, codecs.indexSet);
+    const [showOutliers, setShowOutliers] = useUrlState('showOutliers', true, codecs.boolean);
+
+    // Point sets above MAX_URL_POINTS are kept here instead; links won't include them.
+    // They only count while the URL carries their token, so loading a workspace or
+    // going back/forward shows the data of that URL rather than the in-memory set
+    const [unsharedToken] = useUrlState('unshared', null, codecs.string);
+    const [unshared, setUnshared] = useState(null);
+    const unsharedPoints = unshared && unshared.token === unsharedToken ? unshared.points : null;
+
     // State for data points
-    const [points, setPoints] = useState([]);
-    const [outlierIndices, setOutlierIndices] = useState(new Set());
-    const [showOutliers, setShowOutliers] = useState(true);
+    const points = useMemo(() => {
+        if (unsharedPoints) return unsharedPoints;
+        if (storedPoints) return storedPoints;
+        if (dataset) return dataset.points;
+        if (generatorOptions) return generateSyntheticDataset(generatorOptions, seed).points;
+        if (sampleType) return generateSampleDataset(sampleType, SAMPLE_SIZE, seed);
+        return NO_POINTS;
+    }, [unsharedPoints, storedPoints, dataset, generatorOptions, sampleType, seed]);
+    const hasOwnPoints = Boolean(unsharedPoints || storedPoints);
+
+    // Write a point set to the URL when it is small enough to share, or keep it in memory
+    const storePoints = useCallback((params, next) => {
+        if (next.length > MAX_URL_POINTS) {
+            const token = Date.now().toString(36);
+            params.delete('points');
+            params.set('unshared', token);
+            setUnshared({ token, points: next });
+        } else {
+            params.set('points', codecs.points.serialize(next));
+            params.delete('unshared');
+            setUnshared(null);
+        }
+    }, []);
+
+    // Any edit stores the points themselves, detaching them from the sample;
+    // an edited dataset keeps its axis labels, generated data its true model
+    const setPoints = useCallback((next) => {
+        updateParams(params => {
+            const current = unsharedPoints ?? readPoints(params);
+            storePoints(params, typeof next === 'function' ? next(current) : next);
+            params.delete('sample');
+        });
+    }, [updateParams, unsharedPoints, storePoints]);
+
     const [selectedPoint, setSelectedPoint] = useState(null);
+    const [confidenceLevel, setConfidenceLevel] = useUrlState('level', 0.95, oneOf(CONFIDENCE_LEVELS));
+    const [showConfidenceBand, setShowConfidenceBand] = useUrlState('confidenceBand', false, codecs.boolean);
+    const [showPredictionBand, setShowPredictionBand] = useUrlState('predictionBand', false, codecs.boolean);
+    const [showImport, setShowImport] = useState(false);
+    const [showGenerator, setShowGenerator] = useState(false);
+
+    // Optional transforms of x and y: the model is fitted on the transformed values
+    const [xTransformType, setXTransformType] = useUrlState('tx', 'none', TRANSFORM_TYPES);
+    const [yTransformType, setYTransformType] = useUrlState('ty', 'none', TRANSFORM_TYPES);
+    const [showOriginalScale, setShowOriginalScale] = useUrlState('original', false, codecs.boolean);
+    const xTransform = useMemo(() => fitTransform(points.map(p => p.x), xTransformType), [points, xTransformType]);
+    const yTransform = useMemo(() => fitTransform(points.map(p => p.y), yTransformType), [points, yTransformType]);
+    const isTransformed = xTransform.type !== 'none' || yTransform.type !== 'none';
+
+    const modelPoints = useMemo(() => {
+        if (!isTransformed) return points;
+        return points.map(p => ({ x: xTransform.forward(p.x), y: yTransform.forward(p.y) }));
+    }, [points, isTransformed, xTransform, yTransform]);
+
+    // Points as drawn: on the model's scale, or the raw data with back-transformed curves
+    const onOriginalScale = isTransformed && showOriginalScale;
+    const plotPoints = onOriginalScale ? points : modelPoints;
 
     // Ref for the plot container
     const plotContainerRef = useRef(null);
 
     // Ref to track current points for event handlers (avoids stale closure)
-    const pointsRef = useRef(points);
+    const pointsRef = useRef(plotPoints);
+
+    // Maps a clicked plot position back to raw data units
+    const toRawRef = useRef(null);
 
     // Filter points based on outlier toggle
     const activePoints = useMemo(() => {
-        if (showOutliers) return points;
-        return points.filter((_, i) => !outlierIndices.has(i));
-    }, [points, outlierIndices, showOutliers]);
+        if (showOutliers) return modelPoints;
+        return modelPoints.filter((_, i) => !outlierIndices.has(i));
+    }, [modelPoints, outlierIndices, showOutliers]);
 
     // Calculate regression and metrics
     const regression = useMemo(() => {
@@ -52,6 +207,11 @@ const RegressionVisualizer = () => {
         return calculateAllMetrics(activePoints, regression.slope, regression.intercept);
     }, [activePoints, regression]);
 
+    // Standard errors, t-statistics, p-values and confidence intervals
+    const inference = useMemo(() => {
+        return calculateRegressionInference(activePoints, confidenceLevel);
+    }, [activePoints, confidenceLevel]);
+
     // Handle click on existing point to select it
     const handlePlotClick = useCallback((event) => {
         if (event.points && event.points.length > 0) {
@@ -61,10 +221,13 @@ const RegressionVisualizer = () => {
         }
     }, []);
 
-    // Keep pointsRef in sync with points
+    // Keep pointsRef in sync with the plotted points
     useEffect(() => {
-        pointsRef.current = points;
-    }, [points]);
+        pointsRef.current = plotPoints;
+        toRawRef.current = onOriginalScale
+            ? (x, y) => ({ x, y })
+            : (x, y) => ({ x: xTransform.inverse(x), y: yTransform.inverse(y) });
+    }, [plotPoints, onOriginalScale, xTransform, yTransform]);
 
     // Calculate axis ranges using current points from ref
     const getAxisRangesFromRef = useCallback(() => {
@@ -128,8 +291,9 @@ const RegressionVisualizer = () => {
             const x = xRange[0] + (xPixel / rect.width) * (xRange[1] - xRange[0]);
             const y = yRange[1] - (yPixel / rect.height) * (yRange[1] - yRange[0]); // Y is inverted
 
-            if (!isNaN(x) && !isNaN(y)) {
-                setPoints(prev => [...prev, { x, y }]);
+            const raw = toRawRef.current(x, y);
+            if (isFinite(raw.x) && isFinite(raw.y)) {
+                setPoints(prev => [...prev, raw]);
                 setSelectedPoint(null);
             }
         };
@@ -150,24 +314,28 @@ const RegressionVisualizer = () => {
                 plotArea.removeEventListener('click', handleNativeClick);
             }
         };
-    }, [getAxisRangesFromRef]);
+    }, [getAxisRangesFromRef, setPoints]);
+
+    // Remove a point, shifting outlier indices above it
+    const removePoint = useCallback((index) => {
+        setPoints(prev => prev.filter((_, i) => i !== index));
+        setOutlierIndices(prev => {
+            const newSet = new Set();
+            prev.forEach(i => {
+                if (i < index) newSet.add(i);
+                else if (i > index) newSet.add(i - 1);
+            });
+            return newSet;
+        });
+        setSelectedPoint(null);
+    }, [setPoints, setOutlierIndices]);
 
     // Remove selected point
     const removeSelectedPoint = useCallback(() => {
         if (selectedPoint !== null) {
-            setPoints(prev => prev.filter((_, i) => i !== selectedPoint));
-            // Update outlier indices
-            setOutlierIndices(prev => {
-                const newSet = new Set();
-                prev.forEach(i => {
-                    if (i < selectedPoint) newSet.add(i);
-                    else if (i > selectedPoint) newSet.add(i - 1);
-                });
-                return newSet;
-            });
-            setSelectedPoint(null);
+            removePoint(selectedPoint);
         }
-    }, [selectedPoint]);
+    }, [selectedPoint, removePoint]);
 
     // Toggle point as outlier
     const toggleOutlier = useCallback(() => {
@@ -182,22 +350,115 @@ const RegressionVisualizer = () => {
                 return newSet;
             });
         }
-    }, [selectedPoint]);
+    }, [selectedPoint, setOutlierIndices]);
 
     // Reset all points
     const resetPoints = useCallback(() => {
-        setPoints([]);
-        setOutlierIndices(new Set());
+        updateParams(params => {
+            ['points', 'unshared', 'sample', 'dataset', 'gen', 'outliers'].forEach(key => params.delete(key));
+        });
         setSelectedPoint(null);
-    }, []);
-
-    // Generate sample data
-    const generateSample = useCallback((type) => {
-        const newPoints = generateSampleDataset(type, 15);
-        setPoints(newPoints);
-        setOutlierIndices(new Set());
+    }, [updateParams]);
+
+    // Generate sample data and record how to reproduce it
+    const generateSample = useCallback((type, sampleSeed) => {
+        updateParams(params => {
+            params.set('sample', type);
+            params.set('seed', String(sampleSeed));
+            params.delete('points');
+            params.delete('unshared');
+            params.delete('dataset');
+            params.delete('gen');
+            params.delete('outliers');
+        });
         setSelectedPoint(null);
-    }, []);
+    }, [updateParams]);
+
+    // Draw from the synthetic generator; its injected outliers start out flagged
+    const applyGenerator = useCallback((options, generatorSeed) => {
+        const { outlierIndices: injected } = generateSyntheticDataset(options, generatorSeed);
+        updateParams(params => {
+            params.set('gen', codecs.record.serialize(changedOptions(options)));
+            params.set('seed', String(generatorSeed));
+            if (injected.length > 0) {
+                params.set('outliers', codecs.indexSet.serialize(new Set(injected)));
+            } else {
+                params.delete('outliers');
+            }
+            ['points', 'unshared', 'sample', 'dataset'].forEach(key => params.delete(key));
+        });
+        setSelectedPoint(null);
+    }, [updateParams]);
+
+    // Load a library dataset, or go back to an empty plot
+    const selectDataset = useCallback((id) => {
+        updateParams(params => {
+            if (id) {
+                params.set('dataset', id);
+            } else {
+                params.delete('dataset');
+            }
+            ['points', 'unshared', 'sample', 'gen', 'outliers'].forEach(key => params.delete(key));
+        });
+        setSelectedPoint(null);
+    }, [updateParams]);
+
+    // Replace the point set with imported data
+    const importPoints = useCallback((newPoints) => {
+        updateParams(params => {
+            storePoints(params, newPoints);
+            ['sample', 'dataset', 'gen', 'outliers'].forEach(key => params.delete(key));
+        });
+        setSelectedPoint(null);
+        setShowImport(false);
+    }, [updateParams, storePoints]);
+
+    // A new seed regenerates the current sample, if it has not been edited
+    const changeSeed = useCallback((nextSeed) => {
+        if (generatorOptions && !hasOwnPoints) {
+            applyGenerator(generatorOptions, nextSeed);
+        } else if (sampleType && !hasOwnPoints) {
+            generateSample(sampleType, nextSeed);
+        } else {
+            setSeed(nextSeed);
+        }
+    }, [generatorOptions, sampleType, hasOwnPoints, applyGenerator, generateSample, setSeed]);
+
+    // Points with predictions and residuals; excluded outliers are flagged
+    // With transforms, predictions are made on the model's scale and mapped back to y's units
+    const predictRaw = (x) => yTransform.inverse(regression.slope * xTransform.forward(x) + regression.intercept);
+    const exportRows = () => pointsWithPredictions(points, regression.slope, regression.intercept, predictRaw)
+        .map((row, i) => ({ ...row, outlier: outlierIndices.has(i) }));
+
+    const exports = [
+        {
+            label: 'CSV',
+            filename: 'regression-visualizer.csv',
+            build: () => toCsv(exportRows(), ['x', 'y', 'predicted', 'residual', 'outlier'], {
+                slope: regression.slope,
+                intercept: regression.intercept,
+                ...metrics,
+            }),
+        },
+        {
+            label: 'JSON',
+            filename: 'regression-visualizer.json',
+            build: () => toJson({
+                source: 'Regression Visualizer',
+                exportedAt: new Date().toISOString(),
+                sample: sampleType ? { type: sampleType, seed } : null,
+                generator: generatorOptions ? { options: generatorOptions, seed } : null,
+                transforms: isTransformed
+                    ? { x: { type: xTransform.type, ...xTransform.params }, y: { type: yTransform.type, ...yTransform.params } }
+                    : null,
+                dataset: dataset ? { id: dataset.id, name: dataset.name, x: dataset.x, y: dataset.y } : null,
+                model: { slope: regression.slope, intercept: regression.intercept },
+                inference,
+                metrics,
+                points: exportRows(),
+            }),
+        },
+    ];
 
     // Plot colors based on theme
     const plotColors = {
@@ -208,26 +469,74 @@ const RegressionVisualizer = () => {
         outlier: '#ef4444',
         line: '#8b5cf6',
         selected: '#10b981',
+        truth: '#f59e0b',
+        confidenceBand: 'rgba(139, 92, 246, 0.25)',
+        predictionBand: 'rgba(99, 102, 241, 0.1)',
     };
 
     // Calculate regression line points
-    const xRange = points.length > 0
-        ? [Math.min(...points.map(p => p.x)) - 1, Math.max(...points.map(p => p.x)) + 1]
+    const xRange = plotPoints.length > 0
+        ? [Math.min(...plotPoints.map(p => p.x)) - 1, Math.max(...plotPoints.map(p => p.x)) + 1]
         : [0, 10];
 
-    const yRange = points.length > 0
-        ? [Math.min(...points.map(p => p.y)) - 1, Math.max(...points.map(p => p.y)) + 1]
+    const yRange = plotPoints.length > 0
+        ? [Math.min(...plotPoints.map(p => p.y)) - 1, Math.max(...plotPoints.map(p => p.y)) + 1]
         : [0, 10];
 
-    const lineX = [xRange[0], xRange[1]];
-    const lineY = lineX.map(x => regression.slope * x + regression.intercept);
+    // Line and uncertainty bands evaluated on a fine grid across the visible x range.
+    // On the original scale, x goes through its transform and the fit comes back through y's inverse.
+    const bandX = Array.from({ length: 61 }, (_, i) => xRange[0] + (i / 60) * (xRange[1] - xRange[0]));
+    const modelX = onOriginalScale ? bandX.map(xTransform.forward) : bandX;
+    const toPlotY = onOriginalScale ? yTransform.inverse : (y) => y;
+    const lineY = modelX.map(x => toPlotY(regression.slope * x + regression.intercept));
+    const bands = (showConfidenceBand || showPredictionBand)
+        ? calculateIntervalBands(activePoints, modelX, confidenceLevel)
+        : null;
+
+    // Noise-free curve the generated data was drawn from, on the plotted scale
+    const trueCurve = generatorOptions ? trueModel(generatorOptions) : null;
+    const truth = trueCurve && (onOriginalScale || !isTransformed
+        ? trueCurve
+        : (x) => yTransform.forward(trueCurve(xTransform.inverse(x))));
+
+    // Upper edge drawn invisibly, lower edge filled up to it
+    const bandTraces = (lower, upper, color, name) => [
+        {
+            x: bandX,
+            y: upper.map(toPlotY),
+            type: 'scatter',
+            mode: 'lines',
+            name: `${name} (upper)`,
+            line: { width: 0 },
+            hoverinfo: 'skip',
+        },
+        {
+            x: bandX,
+            y: lower.map(toPlotY),
+            type: 'scatter',
+            mode: 'lines',
+            name,
+            line: { width: 0 },
+            fill: 'tonexty',
+            fillcolor: color,
+            hoverinfo: 'skip',
+        },
+    ];
 
     // Prepare plot data
     const plotData = [
+        // Prediction band (new observations) sits underneath the narrower confidence band
+        ...(bands && showPredictionBand && bands.x.length > 0
+            ? bandTraces(bands.predictionLower, bands.predictionUpper, plotColors.predictionBand, 'Prediction Band')
+            : []),
+        // Confidence band (mean response)
+        ...(bands && showConfidenceBand && bands.x.length > 0
+            ? bandTraces(bands.confidenceLower, bands.confidenceUpper, plotColors.confidenceBand, 'Confidence Band')
+            : []),
         // Regular points
         {
-            x: points.filter((_, i) => !outlierIndices.has(i)).map(p => p.x),
-            y: points.filter((_, i) => !outlierIndices.has(i)).map(p => p.y),
+            x: plotPoints.filter((_, i) => !outlierIndices.has(i)).map(p => p.x),
+            y: plotPoints.filter((_, i) => !outlierIndices.has(i)).map(p => p.y),
             type: 'scatter',
             mode: 'markers',
             name: 'Data Points',
@@ -241,8 +550,8 @@ const RegressionVisualizer = () => {
         },
         // Outlier points
         {
-            x: points.filter((_, i) => outlierIndices.has(i)).map(p => p.x),
-            y: points.filter((_, i) => outlierIndices.has(i)).map(p => p.y),
+            x: plotPoints.filter((_, i) => outlierIndices.has(i)).map(p => p.x),
+            y: plotPoints.filter((_, i) => outlierIndices.has(i)).map(p => p.y),
             type: 'scatter',
             mode: 'markers',
             name: 'Outliers',
@@ -257,7 +566,7 @@ const RegressionVisualizer = () => {
         },
         // Regression line
         ...(activePoints.length >= 2 ? [{
-            x: lineX,
+            x: bandX,
             y: lineY,
             type: 'scatter',
             mode: 'lines',
@@ -269,10 +578,20 @@ const RegressionVisualizer = () => {
             },
             hoverinfo: 'skip',
         }] : []),
+        // True model behind generated data
+        ...(truth ? [{
+            x: bandX,
+            y: bandX.map(truth),
+            type: 'scatter',
+            mode: 'lines',
+            name: 'True Model',
+            line: { color: plotColors.truth, width: 2, dash: 'dash' },
+            hoverinfo: 'skip',
+        }] : []),
         // Selected point highlight
-        ...(selectedPoint !== null && points[selectedPoint] ? [{
-            x: [points[selectedPoint].x],
-            y: [points[selectedPoint].y],
+        ...(selectedPoint !== null && plotPoints[selectedPoint] ? [{
+            x: [plotPoints[selectedPoint].x],
+            y: [plotPoints[selectedPoint].y],
             type: 'scatter',
             mode: 'markers',
             name: 'Selected',
@@ -286,6 +605,9 @@ const RegressionVisualizer = () => {
         }] : []),
     ];
 
+    const xName = dataset ? axisTitle(dataset.x) : 'X';
+    const yName = dataset ? axisTitle(dataset.y) : 'Y';
+
     const plotLayout = {
         autosize: true,
         margin: { l: 50, r: 30, t: 30, b: 50 },
@@ -293,13 +615,13 @@ const RegressionVisualizer = () => {
         plot_bgcolor: plotColors.bg,
         font: { color: plotColors.text, family: 'Inter, sans-serif' },
         xaxis: {
-            title: 'X',
+            title: onOriginalScale ? xName : transformedName(xTransform, xName),
             gridcolor: plotColors.grid,
             zerolinecolor: plotColors.grid,
             range: xRange,
         },
         yaxis: {
-            title: 'Y',
+            title: onOriginalScale ? yName : transformedName(yTransform, yName),
             gridcolor: plotColors.grid,
             zerolinecolor: plotColors.grid,
             range: yRange,
@@ -322,15 +644,28 @@ const RegressionVisualizer = () => {
             <div className="visualizer-controls">
                 <div className="control-group">
                     <span className="control-label">Sample Data:</span>
-                    <button className="btn btn-sm btn-secondary" onClick={() => generateSample('linear')}>
+                    <button className="btn btn-sm btn-secondary" onClick={() => generateSample('linear', randomSeed())}>
                         <Shuffle size={14} /> Linear
                     </button>
-                    <button className="btn btn-sm btn-secondary" onClick={() => generateSample('noisy')}>
+                    <button className="btn btn-sm btn-secondary" onClick={() => generateSample('noisy', randomSeed())}>
                         <Shuffle size={14} /> Noisy
                     </button>
-                    <button className="btn btn-sm btn-secondary" onClick={() => generateSample('outliers')}>
+                    <button className="btn btn-sm btn-secondary" onClick={() => generateSample('outliers', randomSeed())}>
                         <Shuffle size={14} /> With Outliers
                     </button>
+                    <SeedControl seed={seed} onChange={changeSeed} />
+                    <button
+                        className={`btn btn-sm ${showGenerator ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setShowGenerator(!showGenerator)}
+                    >
+                        <FlaskConical size={14} /> Generator
+                    </button>
+                    <button
+                        className={`btn btn-sm ${showImport ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setShowImport(!showImport)}
+                    >
+                        <Upload size={14} /> Import CSV
+                    </button>
                 </div>
 
                 <div className="control-group">
@@ -341,12 +676,81 @@ const RegressionVisualizer = () => {
                         {showOutliers ? <Eye size={14} /> : <EyeOff size={14} />}
                         {showOutliers ? 'Hide Outliers' : 'Show Outliers'}
                     </button>
+                    <button
+                        className={`btn btn-sm ${showConfidenceBand ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setShowConfidenceBand(!showConfidenceBand)}
+                        title="Where the true mean of y is likely to lie"
+                    >
+                        Confidence Band
+                    </button>
+                    <button
+                        className={`btn btn-sm ${showPredictionBand ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setShowPredictionBand(!showPredictionBand)}
+                        title="Where a new observation is likely to fall"
+                    >
+                        Prediction Band
+                    </button>
                     <button className="btn btn-sm btn-danger" onClick={resetPoints}>
                         <RotateCcw size={14} /> Reset
                     </button>
                 </div>
+
+                <div className="control-group">
+                    <span className="control-label">Transform:</span>
+                    <label className="transform-select">
+                        x
+                        <select className="form-input" value={xTransformType} onChange={(e) => setXTransformType(e.target.value)}>
+                            {TRANSFORMS.map(type => (
+                                <option key={type} value={type}>{transformLabels[type]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="transform-select">
+                        y
+                        <select className="form-input" value={yTransformType} onChange={(e) => setYTransformType(e.target.value)}>
+                            {TRANSFORMS.map(type => (
+                                <option key={type} value={type}>{transformLabels[type]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {isTransformed && (
+                        <button
+                            className={`btn btn-sm ${showOriginalScale ? 'btn-primary' : 'btn-secondary'}`}
+                            onClick={() => setShowOriginalScale(!showOriginalScale)}
+                            title="Plot the raw data with the fit transformed back"
+                        >
+                            Original Scale
+                        </button>
+                    )}
+                    {[xTransform.error, yTransform.error].filter(Boolean).map(message => (
+                        <span key={message} className="transform-error">{message}</span>
+                    ))}
+                </div>
+
+                <div className="control-group">
+                    <ExportButtons exports={exports} />
+                </div>
+
+                <div className="control-group dataset-group">
+                    <DatasetPicker value={datasetId} onChange={selectDataset} />
+                </div>
             </div>
 
+            {/* Synthetic Data Generator */}
+            {showGenerator && (
+                <DataGenerator
+                    options={generatorOptions ?? SYNTHETIC_DEFAULTS}
+                    onChange={(options) => applyGenerator(options, seed)}
+                    onRegenerate={() => applyGenerator(generatorOptions ?? SYNTHETIC_DEFAULTS, randomSeed())}
+                    onClose={() => setShowGenerator(false)}
+                />
+            )}
+
+            {/* CSV Import */}
+            {showImport && (
+                <CsvImport onLoad={importPoints} onClose={() => setShowImport(false)} />
+            )}
+
             {/* Main Content */}
             <div className="visualizer-content">
                 {/* Plot */}
@@ -370,9 +774,104 @@ const RegressionVisualizer = () => {
                     <div className="equation-card">
                         <h4>Regression Equation</h4>
                         <div className="equation">
-                            y = <span className="value">{formatNumber(regression.slope, 3)}</span>x +
+                            {transformedName(yTransform, 'y')} = <span className="value">{formatNumber(regression.slope, 3)}</span>
+                            {transformedName(xTransform, 'x')} +
                             <span className="value">{formatNumber(regression.intercept, 3)}</span>
                         </div>
+                        {isTransformed && (
+                            <p className="equation-note">
+                                Fitted on the transformed scale, as are the metrics and diagnostics.
+                                Exported predictions are transformed back to the original units.
+                            </p>
+                        )}
+                    </div>
+
+                    {/* Estimation error against the generator's true model */}
+                    {generatorOptions && !isTransformed && (
+                        <div className="summary-card truth-card">
+                            <h4>True vs Fitted</h4>
+                            <table className="summary-table">
+                                <thead>
+                                    <tr>
+                                        <th></th>
+                                        <th>True</th>
+                                        <th>Fitted</th>
+                                        <th>Error</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {[
+                                        ['Intercept', generatorOptions.intercept, regression.intercept],
+                                        ['Slope', generatorOptions.slope, regression.slope],
+                                    ].map(([label, trueValue, fitted]) => (
+                                        <tr key={label}>
+                                            <td className="row-label">{label}</td>
+                                            <td>{formatNumber(trueValue, 3)}</td>
+                                            <td>{formatNumber(fitted, 3)}</td>
+                                            <td>{formatNumber(fitted - trueValue, 3)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="summary-footnote">
+                                <span className="truth-swatch" /> Dashed curve: the true model.
+                                {generatorOptions.truth !== 'linear' && generatorOptions.curvature !== 0 &&
+                                    ' The truth is not a line, so the fit estimates its best straight-line approximation, not m and b.'}
+                            </p>
+                        </div>
+                    )}
+
+                    {/* Regression Summary */}
+                    <div className="summary-card">
+                        <div className="summary-header">
+                            <h4>Regression Summary</h4>
+                            <div className="tabs">
+                                {CONFIDENCE_LEVELS.map(level => (
+                                    <button
+                                        key={level}
+                                        className={`tab ${confidenceLevel === level ? 'active' : ''}`}
+                                        onClick={() => setConfidenceLevel(level)}
+                                    >
+                                        {Math.round(level * 100)}%
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        <table className="summary-table">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Estimate</th>
+                                    <th>Std. Err</th>
+                                    <th>t</th>
+                                    <th>p</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[['Intercept', inference.intercept], ['Slope', inference.slope]].map(([label, row]) => (
+                                    <tr key={label}>
+                                        <td className="row-label">{label}</td>
+                                        <td>{formatNumber(row.estimate, 3)}</td>
+                                        <td>{formatNumber(row.standardError, 3)}</td>
+                                        <td>{formatNumber(row.tStatistic, 2)}</td>
+                                        <td className={row.pValue < 0.05 ? 'significant' : ''}>
+                                            {formatPValue(row.pValue)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="summary-intervals">
+                            {[['Intercept', inference.intercept], ['Slope', inference.slope]].map(([label, row]) => (
+                                <div className="stat-row" key={label}>
+                                    <span>{Math.round(confidenceLevel * 100)}% CI {label.toLowerCase()}:</span>
+                                    <strong>[{formatNumber(row.lower, 3)}, {formatNumber(row.upper, 3)}]</strong>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="summary-footnote">
+                            Residual std. error {formatNumber(inference.residualStandardError, 3)} on {inference.df} degrees of freedom
+                        </p>
                     </div>
 
                     {/* Metrics Display */}
@@ -405,6 +904,16 @@ const RegressionVisualizer = () => {
                         </div>
                     </div>
 
+                    {/* Points Table */}
+                    <PointsTable
+                        points={points}
+                        selectedIndex={selectedPoint}
+                        outlierIndices={outlierIndices}
+                        onChange={setPoints}
+                        onRemove={removePoint}
+                        onSelect={setSelectedPoint}
+                    />
+
                     {/* Point Actions */}
                     {selectedPoint !== null && (
                         <div className="point-actions">
@@ -438,8 +947,17 @@ const RegressionVisualizer = () => {
                             <strong className="text-success">{activePoints.length}</strong>
                         </div>
                     </div>
+                    {unsharedPoints && (
+                        <p className="points-url-note">
+                            More than {MAX_URL_POINTS} points: a shared link or saved workspace keeps
+                            the settings but won't include the data.
+                        </p>
+                    )}
                 </div>
             </div>
+
+            {/* Residual Diagnostics */}
+            <DiagnosticsPanel points={activePoints} />
         </div>
     );
 };
@@ -0,0 +1,185 @@
+/**
+ * Workspace Context Provider
+ * Persists widget state across reloads and manages named workspaces
+ * - Every page's query string (where widgets keep their state) is saved
+ *   to localStorage and restored when the page is opened again
+ * - Named workspaces snapshot all pages at once: save, load, rename,
+ *   delete, and import/export as a JSON file
+ * Read it with the useWorkspaces hook.
+ */
+
+import { createContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+// Create context
+const WorkspaceContext = createContext();
+
+const SESSION_KEY = 'session';
+const WORKSPACES_KEY = 'workspaces';
+const FILE_FORMAT = 'linear-regression-workspaces';
+
+/**
+ * Read JSON from localStorage, falling back when missing or corrupt
+ */
+const readStorage = (key, fallback) => {
+    try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+/**
+ * Write JSON to localStorage; a full or blocked store skips the write
+ * rather than throwing, so persistence never takes the page down
+ * @returns {boolean} Whether the value was saved
+ */
+const writeStorage = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const createId = () => (
+    window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`
+);
+
+/**
+ * Check that an imported entry looks like a workspace
+ */
+const isWorkspace = (entry) => (
+    entry
+    && typeof entry.name === 'string'
+    && entry.pages
+    && typeof entry.pages === 'object'
+    && Object.values(entry.pages).every(search => typeof search === 'string')
+);
+
+/**
+ * Workspace Provider Component
+ * Must sit inside the router, since page state lives in the URL
+ */
+export const WorkspaceProvider = ({ children }) => {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const [workspaces, setWorkspaces] = useState(() => readStorage(WORKSPACES_KEY, []));
+    const [activeId, setActiveId] = useState(null);
+    const previousPathname = useRef(null);
+
+    // Save the current page's state, or restore it when arriving without any
+    useEffect(() => {
+        const session = readStorage(SESSION_KEY, {});
+        const arrived = previousPathname.current !== location.pathname;
+        previousPathname.current = location.pathname;
+
+        const saved = session[location.pathname];
+        if (arrived && !location.search && saved) {
+            navigate({ pathname: location.pathname, search: saved, hash: location.hash }, { replace: true });
+            return;
+        }
+
+        session[location.pathname] = location.search;
+        writeStorage(SESSION_KEY, session);
+    }, [location, navigate]);
+
+    // Persist the workspace list
+    useEffect(() => {
+        writeStorage(WORKSPACES_KEY, workspaces);
+    }, [workspaces]);
+
+    // Snapshot every page's saved state under a name
+    const saveWorkspace = useCallback((name) => {
+        const workspace = {
+            id: createId(),
+            name: name.trim() || 'Untitled workspace',
+            savedAt: new Date().toISOString(),
+            pages: readStorage(SESSION_KEY, {}),
+        };
+        setWorkspaces(prev => [...prev, workspace]);
+        setActiveId(workspace.id);
+    }, []);
+
+    // Overwrite an existing workspace with the current state
+    const updateWorkspace = useCallback((id) => {
+        const pages = readStorage(SESSION_KEY, {});
+        setWorkspaces(prev => prev.map(w => (
+            w.id === id ? { ...w, pages, savedAt: new Date().toISOString() } : w
+        )));
+    }, []);
+
+    // Make a workspace's pages the current session and reopen this page from it
+    const loadWorkspace = useCallback((id) => {
+        const workspace = workspaces.find(w => w.id === id);
+        if (!workspace) return;
+
+        writeStorage(SESSION_KEY, workspace.pages);
+        setActiveId(id);
+        navigate({ pathname: location.pathname, search: workspace.pages[location.pathname] ?? '' }, { replace: true });
+    }, [workspaces, navigate, location.pathname]);
+
+    const renameWorkspace = useCallback((id, name) => {
+        if (!name.trim()) return;
+        setWorkspaces(prev => prev.map(w => (w.id === id ? { ...w, name: name.trim() } : w)));
+    }, []);
+
+    const deleteWorkspace = useCallback((id) => {
+        setWorkspaces(prev => prev.filter(w => w.id !== id));
+        setActiveId(prev => (prev === id ? null : prev));
+    }, []);
+
+    /**
+     * Serialize workspaces for a file download
+     * @param {Array} ids - Workspaces to include (default: all)
+     * @returns {Object} File contents
+     */
+    const exportWorkspaces = useCallback((ids = null) => ({
+        format: FILE_FORMAT,
+        version: 1,
+        workspaces: ids ? workspaces.filter(w => ids.includes(w.id)) : workspaces,
+    }), [workspaces]);
+
+    /**
+     * Add workspaces from a previously exported file
+     * @param {Object} data - Parsed file contents
+     * @returns {number} Number of workspaces imported
+     * @throws {Error} When the file is not a workspace export
+     */
+    const importWorkspaces = useCallback((data) => {
+        if (data?.format !== FILE_FORMAT || !Array.isArray(data.workspaces)) {
+            throw new Error('This file is not a workspace export.');
+        }
+
+        const imported = data.workspaces.filter(isWorkspace).map(w => ({
+            id: createId(),
+            name: w.name,
+            savedAt: typeof w.savedAt === 'string' ? w.savedAt : new Date().toISOString(),
+            pages: w.pages,
+        }));
+        setWorkspaces(prev => [...prev, ...imported]);
+        return imported.length;
+    }, []);
+
+    const value = {
+        workspaces,
+        activeId,
+        saveWorkspace,
+        updateWorkspace,
+        loadWorkspace,
+        renameWorkspace,
+        deleteWorkspace,
+        exportWorkspaces,
+        importWorkspaces,
+    };
+
+    return (
+        <WorkspaceContext.Provider value={value}>
+            {children}
+        </WorkspaceContext.Provider>
+    );
+};
+
+export default WorkspaceContext;
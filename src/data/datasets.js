@@ -0,0 +1,163 @@
+/**
+ * Dataset Library
+ * Curated two-variable datasets bundled with the app, so every widget
+ * works offline. Each entry carries a description, its source and the
+ * label and unit of both variables.
+ * - Anscombe's quartet: four sets with identical summary statistics
+ * - Galton heights, Old Faithful, housing prices
+ * - Simpson's paradox and heteroscedastic income (synthetic)
+ * Synthetic and simulated sets come from a fixed seed, so they never change.
+ */
+
+import { housingSample } from './housingSample';
+import { createRandom, createGaussian } from '../utils/random';
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+const toPoints = (xs, ys) => xs.map((x, i) => ({ x, y: ys[i] }));
+
+// Anscombe (1973), "Graphs in Statistical Analysis"
+const anscombeX = [10, 8, 13, 9, 11, 14, 6, 4, 12, 7, 5];
+const anscombeX4 = [8, 8, 8, 8, 8, 8, 8, 19, 8, 8, 8];
+const anscombeY = [
+    [8.04, 6.95, 7.58, 8.81, 8.33, 9.96, 7.24, 4.26, 10.84, 4.82, 5.68],
+    [9.14, 8.14, 8.74, 8.77, 9.26, 8.10, 6.13, 3.10, 9.13, 7.26, 4.74],
+    [7.46, 6.77, 12.74, 7.11, 7.81, 8.84, 6.08, 5.39, 8.15, 6.42, 5.73],
+    [6.58, 5.76, 7.71, 8.84, 8.47, 7.04, 5.25, 12.50, 5.56, 7.91, 6.89],
+];
+
+const anscombeDescriptions = [
+    'A plain linear relationship with scatter: the case least squares is made for.',
+    'A smooth curve. The straight line fits just as "well" by the numbers, but the model is wrong.',
+    'A perfect line except for one outlier, which tilts the fit.',
+    'Every x is 8 but one. That single high-leverage point decides the whole slope.',
+];
+
+// First 30 eruptions of the Old Faithful record (R's faithful, Azzalini & Bowman 1990)
+const faithfulEruptions = [
+    3.600, 1.800, 3.333, 2.283, 4.533, 2.883, 4.700, 3.600, 1.950, 4.350,
+    1.833, 3.917, 4.200, 1.750, 4.700, 2.167, 1.750, 4.800, 1.600, 4.250,
+    1.800, 1.750, 3.450, 3.067, 4.533, 3.600, 1.967, 4.083, 3.850, 4.433,
+];
+const faithfulWaiting = [
+    79, 54, 74, 62, 85, 55, 88, 85, 51, 85,
+    54, 84, 78, 47, 83, 52, 62, 84, 52, 79,
+    51, 47, 78, 69, 74, 83, 55, 76, 78, 79,
+];
+
+/**
+ * Parent and child heights drawn to match Galton's 1886 family data:
+ * mid-parent mean 68.3 in (SD 1.8), child mean 68.1 in, slope about 0.65
+ */
+const simulateGalton = (n = 60) => {
+    const gaussian = createGaussian(createRandom(1886));
+    return Array.from({ length: n }, () => {
+        const midparent = gaussian(68.3, 1.8);
+        const child = 68.1 + 0.65 * (midparent - 68.3) + gaussian(0, 2.2);
+        return { x: round(midparent), y: round(child) };
+    });
+};
+
+/**
+ * Three age groups: within each, more exercise means lower cholesterol,
+ * but older groups both exercise more and have higher cholesterol
+ */
+const simulateSimpson = (perGroup = 15) => {
+    const random = createRandom(1951);
+    const gaussian = createGaussian(random);
+    return [0, 1, 2].flatMap(group => {
+        const centerX = 3 + 4 * group;
+        const centerY = 180 + 30 * group;
+        return Array.from({ length: perGroup }, () => {
+            const x = centerX + (random() - 0.5) * 5;
+            const y = centerY - 6 * (x - centerX) + gaussian(0, 5);
+            return { x: round(x), y: round(y) };
+        });
+    });
+};
+
+/**
+ * Income rises with schooling, and so does its spread
+ */
+const simulateIncome = (n = 50) => {
+    const random = createRandom(2024);
+    const gaussian = createGaussian(random);
+    return Array.from({ length: n }, () => {
+        const years = 8 + Math.floor(random() * 13);
+        const income = -15 + 5 * years + gaussian(0, 1.8 * (years - 6));
+        return { x: years, y: round(Math.max(income, 5)) };
+    });
+};
+
+export const datasets = [
+    ...anscombeY.map((ys, i) => ({
+        id: `anscombe-${i + 1}`,
+        name: `Anscombe's Quartet ${['I', 'II', 'III', 'IV'][i]}`,
+        description: `${anscombeDescriptions[i]} All four sets share the same means, variances, correlation (0.816) and fitted line y = 3 + 0.5x.`,
+        source: 'Anscombe (1973), The American Statistician',
+        x: { label: 'x', unit: null },
+        y: { label: 'y', unit: null },
+        points: toPoints(i === 3 ? anscombeX4 : anscombeX, ys),
+    })),
+    {
+        id: 'galton',
+        name: 'Galton Heights',
+        description: 'Child height against the average of both parents. The slope is well below 1: children of tall parents are tall, but less extreme — the original "regression to the mean".',
+        source: 'Simulated from the summary statistics of Galton (1886)',
+        x: { label: 'Mid-parent height', unit: 'in' },
+        y: { label: 'Child height', unit: 'in' },
+        points: simulateGalton(),
+    },
+    {
+        id: 'housing',
+        name: 'Housing Prices',
+        description: 'Sale price against floor area for 40 homes. Size explains most of the price; the rest comes from features this plot leaves out.',
+        source: 'Synthetic sample, also used on the Regularization page',
+        x: { label: 'Size', unit: housingSample.features[0].unit },
+        y: { label: housingSample.target.label, unit: housingSample.target.unit },
+        points: housingSample.rows.map(row => ({ x: row[0], y: row[row.length - 1] })),
+    },
+    {
+        id: 'old-faithful',
+        name: 'Old Faithful',
+        description: 'Waiting time until the next eruption against the length of the last one. Two clusters, short and long eruptions, with a clear linear trend across them.',
+        source: 'Azzalini & Bowman (1990), first 30 eruptions',
+        x: { label: 'Eruption duration', unit: 'min' },
+        y: { label: 'Waiting time', unit: 'min' },
+        points: toPoints(faithfulEruptions, faithfulWaiting),
+    },
+    {
+        id: 'simpson',
+        name: "Simpson's Paradox",
+        description: 'Three age groups. Within each group, more exercise goes with lower cholesterol, yet a single line through all the points slopes upward because older people both exercise more and have higher cholesterol.',
+        source: 'Synthetic',
+        x: { label: 'Exercise', unit: 'hours/week' },
+        y: { label: 'Cholesterol', unit: 'mg/dL' },
+        points: simulateSimpson(),
+    },
+    {
+        id: 'income',
+        name: 'Income vs Education',
+        description: 'Income against years of schooling. The trend is linear but the spread grows with education (heteroscedasticity), so standard errors that assume constant variance are too optimistic.',
+        source: 'Synthetic',
+        x: { label: 'Education', unit: 'years' },
+        y: { label: 'Income', unit: '$1000' },
+        points: simulateIncome(),
+    },
+];
+
+/**
+ * Look up a dataset by id
+ * @param {string} id - Dataset id
+ * @returns {Object|null} The dataset, or null when unknown
+ */
+export const getDataset = (id) => datasets.find(d => d.id === id) ?? null;
+
+/**
+ * Axis title for one of a dataset's variables, e.g. "Size (100 sq ft)"
+ * @param {Object} variable - { label, unit }
+ * @returns {string} Title text
+ */
+export const axisTitle = (variable) => (
+    variable.unit ? `${variable.label} (${variable.unit})` : variable.label
+);
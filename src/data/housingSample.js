@@ -0,0 +1,71 @@
+/**
+ * Housing Price Sample
+ * Small multi-feature dataset used by the regularization demos.
+ * Bedrooms track size closely and lot size carries little signal,
+ * which makes the difference between ridge and lasso easy to see.
+ */
+
+export const housingSample = {
+    name: 'Housing Prices',
+    features: [
+        { key: 'size', label: 'Size', unit: '100 sq ft' },
+        { key: 'bedrooms', label: 'Bedrooms', unit: 'count' },
+        { key: 'bathrooms', label: 'Bathrooms', unit: 'count' },
+        { key: 'age', label: 'Age', unit: 'years' },
+        { key: 'distance', label: 'Distance to Center', unit: 'km' },
+        { key: 'lot', label: 'Lot Size', unit: '1000 sq ft' },
+    ],
+    target: { key: 'price', label: 'Price', unit: '$100k' },
+    // Columns: size, bedrooms, bathrooms, age, distance, lot, price
+    rows: [
+        [15.1, 3, 2, 4, 20.7, 1.8, 1.21],
+        [12.7, 1, 2, 15, 3.2, 4.8, 1.89],
+        [26.2, 5, 3, 40, 15.0, 1.6, 2.58],
+        [12.9, 2, 1, 26, 4.5, 2.1, 1.56],
+        [14.8, 3, 1, 37, 14.7, 2.7, 1.62],
+        [20.4, 4, 2, 34, 11.3, 3.8, 1.99],
+        [20.9, 3, 2, 50, 5.3, 8.0, 2.39],
+        [18.9, 3, 2, 38, 24.5, 2.1, 1.74],
+        [17.2, 3, 2, 31, 11.1, 9.7, 2.07],
+        [25.4, 5, 3, 22, 15.3, 6.2, 2.51],
+        [18.0, 4, 1, 30, 17.7, 1.6, 1.61],
+        [20.7, 3, 2, 45, 10.3, 7.0, 1.95],
+        [8.5, 1, 1, 7, 12.8, 3.0, 0.99],
+        [16.8, 4, 2, 10, 11.8, 5.9, 1.83],
+        [27.4, 5, 2, 17, 18.0, 9.9, 2.59],
+        [13.1, 2, 2, 42, 6.6, 5.4, 1.62],
+        [21.0, 3, 2, 26, 13.8, 6.5, 2.12],
+        [26.9, 5, 4, 47, 2.3, 9.1, 3.07],
+        [25.2, 5, 2, 25, 10.6, 4.5, 2.46],
+        [12.2, 2, 2, 7, 9.2, 1.5, 1.6],
+        [8.0, 2, 1, 23, 15.7, 1.6, 0.88],
+        [22.0, 4, 3, 30, 3.9, 8.6, 2.58],
+        [29.8, 4, 3, 5, 4.5, 7.7, 3.46],
+        [23.2, 3, 2, 60, 13.7, 2.3, 2.14],
+        [19.9, 4, 2, 41, 21.7, 7.3, 1.72],
+        [11.7, 3, 1, 49, 13.1, 6.7, 0.87],
+        [21.5, 4, 2, 12, 20.3, 8.4, 2.09],
+        [19.4, 3, 2, 1, 20.0, 5.3, 2.01],
+        [12.3, 2, 1, 51, 23.5, 9.9, 0.98],
+        [12.9, 2, 1, 13, 12.6, 9.9, 1.54],
+        [21.4, 5, 2, 22, 20.2, 1.8, 1.82],
+        [25.2, 3, 3, 11, 11.4, 6.7, 2.61],
+        [9.9, 3, 1, 29, 10.6, 9.5, 1.1],
+        [10.8, 1, 2, 51, 16.7, 6.5, 1.32],
+        [21.1, 2, 3, 9, 14.2, 2.2, 2.86],
+        [22.3, 4, 1, 27, 24.7, 2.8, 1.75],
+        [27.2, 5, 3, 32, 6.8, 6.3, 3.0],
+        [10.9, 3, 2, 29, 16.9, 8.3, 1.05],
+        [19.4, 4, 1, 8, 13.8, 5.7, 2.2],
+        [12.0, 2, 2, 11, 4.4, 6.6, 1.73],
+    ],
+};
+
+/**
+ * Split the sample into a feature matrix and target vector
+ * @returns {Object} X (n×6 feature rows) and y (prices)
+ */
+export const getHousingMatrix = () => ({
+    X: housingSample.rows.map(row => row.slice(0, -1)),
+    y: housingSample.rows.map(row => row[row.length - 1]),
+});
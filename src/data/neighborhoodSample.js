@@ -0,0 +1,40 @@
+/**
+ * Neighborhood Housing Sample
+ * Small raw CSV used to demonstrate preprocessing on the Multiple
+ * Regression page: two categorical columns (neighborhood, garage) and a
+ * few blank or "NA" cells, exactly as an export from a spreadsheet would
+ * arrive. Size is in 100 sq ft, age in years, price in $100k.
+ */
+
+export const neighborhoodCsv = `size,age,neighborhood,garage,price
+17.7,2,Riverside,yes,2.33
+25.9,39,Central,yes,2.91
+26.4,29,North,no,2.4
+12.3,,North,yes,1.6
+27.6,2,Central,yes,3.41
+13.9,0,Riverside,yes,2.07
+18.6,30,Central,yes,2.42
+22.8,22,North,yes,2.41
+,5,Central,yes,2.55
+12.3,45,North,no,1.02
+15.7,18,Central,no,1.91
+17,28,Central,no,2.26
+16.7,20,,yes,1.61
+24.5,25,North,yes,2.31
+16.4,23,North,no,1.42
+11.3,5,Central,yes,2.09
+15.6,21,Central,yes,2.44
+18.1,NA,Riverside,yes,2.09
+20.7,15,Riverside,yes,2.34
+10.2,39,Central,yes,2.06
+17.3,0,Riverside,yes,2.26
+16.5,4,Central,yes,
+14.6,40,Riverside,yes,1.88
+19.2,40,North,yes,1.77
+14.2,0,Central,yes,2.31
+23.8,38,Central,yes,2.67
+24.1,17,North,,2.41
+14.1,19,Riverside,yes,1.87
+24,45,Riverside,yes,2.4
+26.8,36,Central,yes,2.98
+`;
@@ -0,0 +1,18 @@
+/**
+ * Shareable Seed Hook
+ * Keeps a widget's PRNG seed in the page URL (?seed=42) so a copied link
+ * reproduces exactly the same dataset for everyone who opens it.
+ */
+
+import { useUrlState, codecs } from './useUrlState';
+
+/**
+ * Read and update the seed stored in the URL
+ * @param {number} defaultSeed - Seed used when the URL has none
+ * @param {string} param - Query parameter name
+ * @returns {Array} [seed, setSeed]
+ */
+export const useSeed = (defaultSeed = 1, param = 'seed') => {
+    const [seed, setSeed] = useUrlState(param, defaultSeed, codecs.integer);
+    return [seed > 0 ? seed : defaultSeed, setSeed];
+};
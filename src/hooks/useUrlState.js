@@ -0,0 +1,146 @@
+/**
+ * URL State Hooks
+ * Keep widget state in the page's query string so any view can be shared
+ * as a link and restored on load
+ * - useUrlState: one value, like useState
+ * - useUpdateSearchParams: several keys in one history entry
+ * - codecs / oneOf: how values are written to and read from the URL
+ */
+
+import { useCallback, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+
+// Significant digits kept when writing numbers to the URL
+const URL_PRECISION = 6;
+
+const compactNumber = (value) => String(Number(value.toPrecision(URL_PRECISION)));
+
+/**
+ * Value encoders; parse returns undefined for text it cannot read so the
+ * default is used instead
+ */
+export const codecs = {
+    number: {
+        parse: (text) => {
+            const value = parseFloat(text);
+            return isFinite(value) ? value : undefined;
+        },
+        serialize: compactNumber,
+    },
+    integer: {
+        parse: (text) => {
+            const value = parseInt(text, 10);
+            return Number.isInteger(value) ? value : undefined;
+        },
+        serialize: (value) => String(Math.round(value)),
+    },
+    boolean: {
+        parse: (text) => (text === '1' ? true : text === '0' ? false : undefined),
+        serialize: (value) => (value ? '1' : '0'),
+    },
+    string: {
+        parse: (text) => text,
+        serialize: (value) => String(value),
+    },
+    // {x, y} points as "x,y;x,y"
+    points: {
+        parse: (text) => {
+            if (text === '') return [];
+            const points = text.split(';').map(pair => {
+                const [x, y] = pair.split(',').map(parseFloat);
+                return { x, y };
+            });
+            return points.every(p => isFinite(p.x) && isFinite(p.y)) ? points : undefined;
+        },
+        serialize: (points) => points.map(p => `${compactNumber(p.x)},${compactNumber(p.y)}`).join(';'),
+    },
+    // Set of non-negative integers as "1,4,7"
+    indexSet: {
+        parse: (text) => new Set(text.split(',').map(v => parseInt(v, 10)).filter(Number.isInteger)),
+        serialize: (set) => [...set].sort((a, b) => a - b).join(','),
+    },
+    // Flat object of numbers and strings as "key:value;key:value"
+    record: {
+        parse: (text) => Object.fromEntries(text.split(';').filter(Boolean).map(pair => {
+            const [key, value = ''] = pair.split(':');
+            return [key, value !== '' && isFinite(Number(value)) ? Number(value) : value];
+        })),
+        serialize: (record) => Object.entries(record)
+            .map(([key, value]) => `${key}:${typeof value === 'number' ? compactNumber(value) : value}`)
+            .join(';'),
+    },
+    // Object of boolean flags as the comma-separated keys that are on
+    flags: {
+        parse: (text) => Object.fromEntries(text.split(',').filter(Boolean).map(key => [key, true])),
+        serialize: (flags) => Object.keys(flags).filter(key => flags[key]).join(','),
+    },
+};
+
+/**
+ * Codec accepting only the listed values (strings or numbers)
+ * @param {Array} values - Allowed values
+ * @returns {Object} Codec
+ */
+export const oneOf = (values) => ({
+    parse: (text) => values.find(v => String(v) === text),
+    serialize: (value) => String(value),
+});
+
+/**
+ * Apply several query-string changes as one replace navigation
+ * Reads the live location so back-to-back updates in one event handler
+ * build on each other instead of overwriting.
+ * @returns {Function} update(mutate), where mutate edits a URLSearchParams
+ */
+export const useUpdateSearchParams = () => {
+    const navigate = useNavigate();
+
+    return useCallback((mutate) => {
+        const params = new URLSearchParams(window.location.search);
+        mutate(params);
+        const search = params.toString();
+        navigate({ search: search ? `?${search}` : '', hash: window.location.hash }, { replace: true });
+    }, [navigate]);
+};
+
+/**
+ * useState backed by a query parameter
+ * The parameter is removed while the value equals the default, so URLs only
+ * carry what was changed. Defaults should be stable (module-level) values.
+ * @param {string} key - Query parameter name
+ * @param {*} defaultValue - Value when the parameter is absent or unreadable
+ * @param {Object} codec - One of codecs
+ * @returns {Array} [value, setValue]; setValue accepts a value or an updater
+ */
+export const useUrlState = (key, defaultValue, codec = codecs.string) => {
+    const [searchParams] = useSearchParams();
+    const update = useUpdateSearchParams();
+    const raw = searchParams.get(key);
+
+    const value = useMemo(() => {
+        if (raw === null) return defaultValue;
+        return codec.parse(raw) ?? defaultValue;
+    }, [raw, defaultValue, codec]);
+
+    const setValue = useCallback((next) => {
+        update(params => {
+            const current = params.get(key);
+            const previous = current === null ? defaultValue : codec.parse(current) ?? defaultValue;
+            const resolved = typeof next === 'function' ? next(previous) : next;
+
+            if (resolved === null || resolved === undefined) {
+                params.delete(key);
+                return;
+            }
+
+            const serialized = codec.serialize(resolved);
+            if (defaultValue !== null && serialized === codec.serialize(defaultValue)) {
+                params.delete(key);
+            } else {
+                params.set(key, serialized);
+            }
+        });
+    }, [update, key, defaultValue, codec]);
+
+    return [value, setValue];
+};
@@ -0,0 +1,19 @@
+/**
+ * Workspaces Hook
+ * Access to the saved-workspace list and its actions
+ */
+
+import { useContext } from 'react';
+import WorkspaceContext from '../context/WorkspaceContext';
+
+/**
+ * Custom hook to access workspace context
+ * @returns {Object} workspaces and the actions that manage them
+ */
+export const useWorkspaces = () => {
+    const context = useContext(WorkspaceContext);
+    if (!context) {
+        throw new Error('useWorkspaces must be used within a WorkspaceProvider');
+    }
+    return context;
+};
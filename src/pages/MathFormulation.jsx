@@ -4,8 +4,22 @@
  */
 
 import { Calculator, ArrowRight, BookOpen } from 'lucide-react';
+import { fitOLS, formatNumber } from '../utils/regressionMath';
+import { housingSample, getHousingMatrix } from '../data/housingSample';
 import './MathFormulation.css';
 
+// The normal equation solved on the housing sample, as a worked example
+const housing = getHousingMatrix();
+const housingFit = fitOLS(housing.X, housing.y);
+const housingR2 = (() => {
+    const meanY = housing.y.reduce((acc, v) => acc + v, 0) / housing.y.length;
+    const ssTot = housing.y.reduce((acc, v) => acc + (v - meanY) ** 2, 0);
+    return 1 - housingFit.rss / ssTot;
+})();
+
+// θ₀, θ₁, ... labels
+const subscript = (index) => String(index).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+
 const MathFormulation = () => {
     return (
         <div className="page math-page">
@@ -232,6 +246,32 @@ const MathFormulation = () => {
                             This gives the exact optimal solution without iteration — but requires matrix inversion.
                         </p>
                     </div>
+
+                    <div className="math-block">
+                        <span className="formula-label">Solved on Real Data</span>
+                        <p className="formula-note">
+                            The {housing.X.length}-home {housingSample.name.toLowerCase()} sample gives
+                            a {housingFit.n} × {housingFit.p} design matrix. In practice θ comes from a QR
+                            decomposition (Rθ = Qᵀy), which never forms (XᵀX)⁻¹:
+                        </p>
+                        <div className="notation-grid">
+                            {housingFit.coefficients.map((value, j) => {
+                                const feature = housingSample.features[j - 1];
+                                return (
+                                    <div className="notation-item" key={j}>
+                                        <span className="notation-symbol">θ{subscript(j)}</span>
+                                        <span className="notation-name">{formatNumber(value, 3)}</span>
+                                        <span className="notation-desc">
+                                            {feature ? `${feature.label} (per ${feature.unit})` : 'Intercept'}
+                                        </span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <p className="formula-note">
+                            {housingSample.target.label} in {housingSample.target.unit} · R² = {formatNumber(housingR2, 3)}
+                        </p>
+                    </div>
                 </div>
             </section>
 
@@ -1,11 +1,15 @@
 /**
  * Metrics Page
  * MSE, RMSE, MAE, R² Score with visual examples
+ * on built-in scenarios or any dataset from the library
  */
 
 import { useState, useMemo } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../context/ThemeContext';
+import DiagnosticsPanel from '../components/diagnostics/DiagnosticsPanel';
+import DatasetPicker from '../components/common/DatasetPicker';
+import { getDataset, axisTitle } from '../data/datasets';
 import {
     calculateMSE,
     calculateRMSE,
@@ -50,7 +54,19 @@ const Metrics = () => {
         }
     };
 
-    const currentData = scenarios[scenario];
+    // A library dataset replaces the scenario while one is picked
+    const dataset = getDataset(scenario);
+    const currentData = dataset ?? scenarios[scenario];
+
+    // Horizontal axis range, padded around the data
+    const xRange = useMemo(() => {
+        if (!dataset) return [0, 11];
+        const xs = dataset.points.map(p => p.x);
+        const min = Math.min(...xs);
+        const max = Math.max(...xs);
+        const pad = (max - min) * 0.1 || 1;
+        return [min - pad, max + pad];
+    }, [dataset]);
 
     // Calculate regression and metrics
     const regression = useMemo(() => {
@@ -109,6 +125,11 @@ const Metrics = () => {
                         </button>
                     ))}
                 </div>
+                <DatasetPicker
+                    value={dataset ? dataset.id : null}
+                    onChange={(id) => setScenario(id ?? 'good')}
+                    emptyLabel="Or pick a dataset…"
+                />
             </section>
 
             {/* Visualization */}
@@ -127,8 +148,8 @@ const Metrics = () => {
                             },
                             // Regression line
                             {
-                                x: [0, 11],
-                                y: [regression.intercept, regression.slope * 11 + regression.intercept],
+                                x: xRange,
+                                y: xRange.map(x => regression.slope * x + regression.intercept),
                                 type: 'scatter',
                                 mode: 'lines',
                                 name: 'Predicted',
@@ -151,8 +172,8 @@ const Metrics = () => {
                             paper_bgcolor: colors.bg,
                             plot_bgcolor: colors.bg,
                             font: { color: colors.text },
-                            xaxis: { title: 'X', gridcolor: colors.grid, range: [0, 11] },
-                            yaxis: { title: 'Y', gridcolor: colors.grid },
+                            xaxis: { title: dataset ? axisTitle(dataset.x) : 'X', gridcolor: colors.grid, range: xRange },
+                            yaxis: { title: dataset ? axisTitle(dataset.y) : 'Y', gridcolor: colors.grid },
                             showlegend: true,
                             legend: { x: 0.02, y: 0.98 },
                         }}
@@ -198,6 +219,11 @@ const Metrics = () => {
                 </div>
             </section>
 
+            {/* Residual Diagnostics */}
+            <section className="section">
+                <DiagnosticsPanel points={currentData.points} title={`Residual Diagnostics — ${currentData.name}`} />
+            </section>
+
             {/* Metric Explanations */}
             <section className="section">
                 <h2 className="section-title">Understanding Each Metric</h2>
@@ -1,13 +1,17 @@
 /**
  * Multiple Regression Page
- * Multiple linear regression with 3D visualization
+ * Multiple linear regression with 3D visualization and a fit on imported data
  */
 
 import { useState, useMemo } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../context/ThemeContext';
-import { formatNumber } from '../utils/regressionMath';
-import { Layers, Box, Settings } from 'lucide-react';
+import { useSeed } from '../hooks/useSeed';
+import SeedControl from '../components/common/SeedControl';
+import ImportedRegression from '../components/multiple/ImportedRegression';
+import { fitOLS, formatNumber } from '../utils/regressionMath';
+import { createRandom, createGaussian } from '../utils/random';
+import { Layers, Box, Settings, Table } from 'lucide-react';
 import './MultipleRegression.css';
 
 const MultipleRegression = () => {
@@ -17,19 +21,33 @@ const MultipleRegression = () => {
     const [w1, setW1] = useState(2);
     const [w2, setW2] = useState(1.5);
     const [bias, setBias] = useState(3);
+    const [seed, setSeed] = useSeed();
+
+    // Inputs and noise depend only on the seed, so moving a slider
+    // tilts the same cloud instead of drawing a new one
+    const sampleDraws = useMemo(() => {
+        const random = createRandom(seed);
+        const gaussian = createGaussian(random);
+        return Array.from({ length: 30 }, () => ({
+            x1: random() * 10,
+            x2: random() * 10,
+            noise: gaussian(0, 1.2),
+        }));
+    }, [seed]);
 
     // Generate sample data
     const sampleData = useMemo(() => {
-        const points = [];
-        for (let i = 0; i < 30; i++) {
-            const x1 = Math.random() * 10;
-            const x2 = Math.random() * 10;
-            const noise = (Math.random() - 0.5) * 4;
-            const y = w1 * x1 + w2 * x2 + bias + noise;
-            points.push({ x1, x2, y });
-        }
-        return points;
-    }, [w1, w2, bias]);
+        return sampleDraws.map(({ x1, x2, noise }) => ({
+            x1,
+            x2,
+            y: w1 * x1 + w2 * x2 + bias + noise,
+        }));
+    }, [sampleDraws, w1, w2, bias]);
+
+    // Least-squares fit recovered from the noisy sample
+    const olsFit = useMemo(() => {
+        return fitOLS(sampleData.map(p => [p.x1, p.x2]), sampleData.map(p => p.y));
+    }, [sampleData]);
 
     // Generate surface mesh
     const surfaceData = useMemo(() => {
@@ -86,13 +104,22 @@ const MultipleRegression = () => {
                     </div>
 
                     <div className="formula-current">
-                        <span>Current equation:</span>
+                        <span>True equation:</span>
                         <div className="equation">
                             y = <span className="coef">{formatNumber(w1, 2)}</span>x₁ +
                             <span className="coef">{formatNumber(w2, 2)}</span>x₂ +
                             <span className="coef">{formatNumber(bias, 2)}</span>
                         </div>
                     </div>
+
+                    <div className="formula-current">
+                        <span>OLS fit on sample:</span>
+                        <div className="equation">
+                            ŷ = <span className="coef">{formatNumber(olsFit.coefficients[1], 2)}</span>x₁ +
+                            <span className="coef">{formatNumber(olsFit.coefficients[2], 2)}</span>x₂ +
+                            <span className="coef">{formatNumber(olsFit.coefficients[0], 2)}</span>
+                        </div>
+                    </div>
                 </div>
             </section>
 
@@ -158,6 +185,11 @@ const MultipleRegression = () => {
                             </div>
                         </div>
 
+                        <div className="control-group">
+                            <h4>Sample</h4>
+                            <SeedControl seed={seed} onChange={setSeed} />
+                        </div>
+
                         <div className="parameter-impact">
                             <h4>Parameter Effects</h4>
                             <ul>
@@ -258,6 +290,25 @@ const MultipleRegression = () => {
                 </div>
             </section>
 
+            {/* Fit Imported Data */}
+            <section className="section">
+                <h2 className="section-title">
+                    <Table size={24} />
+                    Fit Your Own Data
+                </h2>
+                <div className="section-content">
+                    <p>
+                        Real tables have gaps and text columns. Rows with blanks can be dropped or filled
+                        with the column mean or median; a categorical column becomes indicator columns.
+                        Dummy coding keeps k − 1 of them and measures each level against the reference level.
+                        Switch a column to one-hot (all k) while the intercept is on to fall into the
+                        dummy-variable trap: the columns become perfectly collinear and one coefficient
+                        can no longer be estimated.
+                    </p>
+                </div>
+                <ImportedRegression />
+            </section>
+
             {/* When to Use */}
             <section className="section">
                 <h2 className="section-title">When to Use Multiple Regression</h2>
@@ -3,11 +3,29 @@
  * Gradient Descent and optimization methods
  */
 
+import { useRef, useState } from 'react';
 import GradientDescentSimulator from '../components/gradient/GradientDescent';
-import { Zap, TrendingDown, Settings, AlertCircle } from 'lucide-react';
+import { useUrlState, oneOf } from '../hooks/useUrlState';
+import { GD_VARIANTS } from '../utils/regressionMath';
+import { Zap, TrendingDown, Settings, AlertCircle, Play } from 'lucide-react';
 import './Optimization.css';
 
+const VARIANT_TYPES = oneOf(GD_VARIANTS);
+
 const Optimization = () => {
+    // The simulator below reads its update rule from the same URL parameter
+    const [, setVariant] = useUrlState('method', 'batch', VARIANT_TYPES);
+    const simulatorRef = useRef(null);
+
+    // Each request remounts the simulator so it replays from the start
+    const [playRequests, setPlayRequests] = useState(0);
+
+    const animateVariant = (variant) => {
+        setVariant(variant);
+        setPlayRequests(prev => prev + 1);
+        simulatorRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+
     return (
         <div className="page optimization-page">
             <header className="page-header">
@@ -235,6 +253,9 @@ const Optimization = () => {
                             <span className="visual-label">Direct path to minimum</span>
                         </div>
                         <div className="variant-formula">θ = θ - α × (1/m)Σ∇J</div>
+                        <button className="btn btn-sm btn-secondary variant-animate" onClick={() => animateVariant('batch')}>
+                            <Play size={14} /> Animate Below
+                        </button>
                     </div>
 
                     <div className="variant-card stochastic">
@@ -270,6 +291,9 @@ const Optimization = () => {
                             <span className="visual-label">Noisy path, eventually converges</span>
                         </div>
                         <div className="variant-formula">θ = θ - α × ∇J(x<sup>i</sup>)</div>
+                        <button className="btn btn-sm btn-secondary variant-animate" onClick={() => animateVariant('stochastic')}>
+                            <Play size={14} /> Animate Below
+                        </button>
                     </div>
 
                     <div className="variant-card minibatch">
@@ -305,18 +329,23 @@ const Optimization = () => {
                             <span className="visual-label">Balanced: slight wobble, fast convergence</span>
                         </div>
                         <div className="variant-formula">θ = θ - α × (1/b)Σ∇J</div>
+                        <button className="btn btn-sm btn-secondary variant-animate" onClick={() => animateVariant('minibatch')}>
+                            <Play size={14} /> Animate Below
+                        </button>
                     </div>
                 </div>
             </section>
 
             {/* Interactive Simulator */}
-            <section className="section">
+            <section className="section" ref={simulatorRef}>
                 <h2 className="section-title">🎮 Interactive Gradient Descent Simulator</h2>
                 <p className="section-description">
                     Watch gradient descent in action! Adjust the learning rate and see how it affects
-                    convergence. Try a high learning rate to see divergence.
+                    convergence. Try a high learning rate to see divergence. Switch the update rule
+                    to stochastic or mini-batch to watch the path wobble toward the minimum, then pick
+                    a decaying learning-rate schedule and watch the wobble die down as α shrinks.
                 </p>
-                <GradientDescentSimulator />
+                <GradientDescentSimulator key={playRequests} autoPlay={playRequests > 0} />
             </section>
 
             {/* Tips */}
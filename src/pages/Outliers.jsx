@@ -1,44 +1,150 @@
 /**
  * Outliers Page
- * Understanding outliers and their effect on regression
+ * Understanding outliers and their effect on regression,
+ * on a small built-in set or any dataset from the library
  */
 
-import { useState, useMemo, useCallback } from 'react';
+import { useMemo, useCallback } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../context/ThemeContext';
+import { useUrlState, useUpdateSearchParams, codecs, oneOf } from '../hooks/useUrlState';
 import {
     calculateLinearRegression,
     calculateAllMetrics,
+    huberRegression,
+    theilSenRegression,
+    ransacRegression,
     formatNumber,
 } from '../utils/regressionMath';
-import { AlertTriangle, Eye, EyeOff, RefreshCw } from 'lucide-react';
+import { calculateDiagnostics, classifyInfluence } from '../utils/diagnostics';
+import DiagnosticsPanel from '../components/diagnostics/DiagnosticsPanel';
+import DatasetPicker from '../components/common/DatasetPicker';
+import { datasets, getDataset, axisTitle } from '../data/datasets';
+import { AlertTriangle, Eye, EyeOff, RefreshCw, Crosshair } from 'lucide-react';
 import './Outliers.css';
 
+// Base data without outliers
+const basePoints = [
+    { x: 1, y: 2.1 }, { x: 2, y: 4.2 }, { x: 3, y: 5.8 },
+    { x: 4, y: 8.1 }, { x: 5, y: 10.2 }, { x: 6, y: 12.0 },
+    { x: 7, y: 13.9 }, { x: 8, y: 16.1 }, { x: 9, y: 18.0 }, { x: 10, y: 20.2 }
+];
+
+// Marker colors and labels for each influence class
+const influenceStyles = {
+    normal: { color: '#6366f1', label: 'Normal' },
+    'high-leverage': { color: '#f59e0b', label: 'High leverage' },
+    outlier: { color: '#3b82f6', label: 'Outlier in y' },
+    influential: { color: '#ef4444', label: 'Influential' },
+};
+
+// Robust estimators overlaid on the plot
+const robustMethods = [
+    { key: 'huber', label: 'Huber', color: '#8b5cf6', fit: huberRegression },
+    { key: 'theilSen', label: 'Theil–Sen', color: '#ec4899', fit: theilSenRegression },
+    { key: 'ransac', label: 'RANSAC', color: '#14b8a6', fit: ransacRegression },
+];
+
+// Robust overlays shown on first load
+const defaultRobust = { huber: true, theilSen: false, ransac: false };
+
+// Library datasets by id
+const DATASET_IDS = oneOf(datasets.map(d => d.id));
+
+// Slider and axis settings for the built-in points
+const defaultView = {
+    points: basePoints,
+    yMin: 5,
+    yMax: 50,
+    yStep: 1,
+    yStart: 35,
+    position: 5,
+    xRange: [0, 11],
+    yRange: [0, 55],
+};
+
+/**
+ * Slider and axis settings that fit a library dataset: the outlier can
+ * move from a little below the data to well above it
+ */
+const datasetView = (dataset) => {
+    const points = [...dataset.points].sort((a, b) => a.x - b.x);
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const xPad = (Math.max(...xs) - Math.min(...xs) || 1) * 0.1;
+    const ySpan = Math.max(...ys) - Math.min(...ys) || 1;
+    const yStep = 10 ** Math.floor(Math.log10(ySpan / 50));
+    const snap = (value) => Number((Math.round(value / yStep) * yStep).toPrecision(6));
+    const yMin = snap(Math.min(...ys) - ySpan * 0.5);
+    const yMax = snap(Math.max(...ys) + ySpan * 1.5);
+
+    return {
+        points,
+        yMin,
+        yMax,
+        yStep,
+        yStart: snap(Math.max(...ys) + ySpan),
+        position: Math.ceil(points.length / 2),
+        xRange: [Math.min(...xs) - xPad, Math.max(...xs) + xPad],
+        yRange: [yMin - ySpan * 0.1, yMax + ySpan * 0.1],
+    };
+};
+
 const Outliers = () => {
     const { isDark } = useTheme();
 
-    // Base data without outliers
-    const basePoints = [
-        { x: 1, y: 2.1 }, { x: 2, y: 4.2 }, { x: 3, y: 5.8 },
-        { x: 4, y: 8.1 }, { x: 5, y: 10.2 }, { x: 6, y: 12.0 },
-        { x: 7, y: 13.9 }, { x: 8, y: 16.1 }, { x: 9, y: 18.0 }, { x: 10, y: 20.2 }
-    ];
+    // Outlier configs, shareable through the URL
+    const updateParams = useUpdateSearchParams();
+    const [datasetId] = useUrlState('dataset', null, DATASET_IDS);
+    const [storedY, setOutlierY] = useUrlState('y', null, codecs.number);
+    const [storedPosition, setOutlierPosition] = useUrlState('x', null, codecs.integer);
+    const [showOutlier, setShowOutlier] = useUrlState('outlier', true, codecs.boolean);
+    const [visibleRobust, setVisibleRobust] = useUrlState('robust', defaultRobust, codecs.flags);
 
-    // Outlier configs
-    const [outlierY, setOutlierY] = useState(35);
-    const [outlierX, setOutlierX] = useState(5);
-    const [showOutlier, setShowOutlier] = useState(true);
+    // Data, slider and axis settings for the chosen dataset
+    const dataset = datasetId ? getDataset(datasetId) : null;
+    const view = useMemo(() => (dataset ? datasetView(dataset) : defaultView), [dataset]);
+    const basePoints = view.points;
+
+    // The outlier replaces one of the base points (1-based position, sorted by x)
+    const outlierY = storedY ?? view.yStart;
+    const outlierPosition = Math.min(Math.max(storedPosition ?? view.position, 1), basePoints.length);
+    const outlierIndex = outlierPosition - 1;
+    const outlierX = basePoints[outlierIndex].x;
 
     // Points with/without outlier
     const pointsWithOutlier = useMemo(() => {
-        return [...basePoints.slice(0, outlierX - 1), { x: outlierX, y: outlierY }, ...basePoints.slice(outlierX)];
-    }, [outlierX, outlierY]);
+        return basePoints.map((p, i) => (i === outlierIndex ? { x: p.x, y: outlierY } : p));
+    }, [basePoints, outlierIndex, outlierY]);
 
     const currentPoints = showOutlier ? pointsWithOutlier : basePoints;
 
+    // A new dataset starts with its own default outlier
+    const selectDataset = useCallback((id) => {
+        updateParams(params => {
+            if (id) {
+                params.set('dataset', id);
+            } else {
+                params.delete('dataset');
+            }
+            params.delete('x');
+            params.delete('y');
+        });
+    }, [updateParams]);
+
+    // Robust fits on the same (possibly contaminated) data
+    const robustFits = useMemo(() => {
+        return Object.fromEntries(robustMethods.map(m => [m.key, m.fit(currentPoints)]));
+    }, [currentPoints]);
+
+    // Leverage, studentized residuals, Cook's distance and DFFITS per point
+    const diagnostics = useMemo(() => calculateDiagnostics(currentPoints), [currentPoints]);
+    const influenceClasses = diagnostics.points.map(d => classifyInfluence(d, diagnostics.thresholds));
+    const draggedDiagnostics = showOutlier ? diagnostics.points[outlierIndex] : null;
+
     // Calculate regression for both cases
     const regWithOutlier = useMemo(() => calculateLinearRegression(pointsWithOutlier), [pointsWithOutlier]);
-    const regWithoutOutlier = useMemo(() => calculateLinearRegression(basePoints), []);
+    const regWithoutOutlier = useMemo(() => calculateLinearRegression(basePoints), [basePoints]);
 
     const metricsWithOutlier = useMemo(() =>
         calculateAllMetrics(pointsWithOutlier, regWithOutlier.slope, regWithOutlier.intercept),
@@ -47,7 +153,7 @@ const Outliers = () => {
 
     const metricsWithoutOutlier = useMemo(() =>
         calculateAllMetrics(basePoints, regWithoutOutlier.slope, regWithoutOutlier.intercept),
-        [regWithoutOutlier]
+        [basePoints, regWithoutOutlier]
     );
 
     const currentReg = showOutlier ? regWithOutlier : regWithoutOutlier;
@@ -78,6 +184,11 @@ const Outliers = () => {
             <section className="outlier-demo">
                 {/* Controls */}
                 <div className="demo-controls">
+                    <div className="control-group">
+                        <h4>Dataset</h4>
+                        <DatasetPicker value={datasetId} onChange={selectDataset} emptyLabel="Simple line (10 points)" />
+                    </div>
+
                     <div className="control-group">
                         <h4>Outlier Position</h4>
                         <div className="slider-container">
@@ -88,10 +199,11 @@ const Outliers = () => {
                             <input
                                 type="range"
                                 className="slider"
-                                min="5"
-                                max="50"
+                                min={view.yMin}
+                                max={view.yMax}
+                                step={view.yStep}
                                 value={outlierY}
-                                onChange={(e) => setOutlierY(parseInt(e.target.value))}
+                                onChange={(e) => setOutlierY(parseFloat(e.target.value))}
                             />
                         </div>
                         <div className="slider-container">
@@ -103,9 +215,9 @@ const Outliers = () => {
                                 type="range"
                                 className="slider"
                                 min="1"
-                                max="10"
-                                value={outlierX}
-                                onChange={(e) => setOutlierX(parseInt(e.target.value))}
+                                max={basePoints.length}
+                                value={outlierPosition}
+                                onChange={(e) => setOutlierPosition(parseInt(e.target.value))}
                             />
                         </div>
                     </div>
@@ -120,20 +232,45 @@ const Outliers = () => {
                             {showOutlier ? 'Remove Outlier' : 'Add Outlier'}
                         </button>
                     </div>
+
+                    <div className="control-group">
+                        <h4>Robust Fits</h4>
+                        <div className="robust-toggles">
+                            {robustMethods.map(method => (
+                                <div className="toggle-container" key={method.key}>
+                                    <div
+                                        className={`toggle ${visibleRobust[method.key] ? 'active' : ''}`}
+                                        onClick={() => setVisibleRobust(prev => ({ ...prev, [method.key]: !prev[method.key] }))}
+                                    />
+                                    <span className="robust-label" style={{ color: method.color }}>{method.label}</span>
+                                    <span className="robust-slope">m = {formatNumber(robustFits[method.key].slope, 3)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
                 </div>
 
                 {/* Plot */}
                 <div className="demo-plot">
                     <Plot
                         data={[
-                            // Base points
+                            // Base points, colored by influence
                             {
-                                x: basePoints.map(p => p.x),
-                                y: basePoints.map(p => p.y),
+                                x: currentPoints.filter((_, i) => !showOutlier || i !== outlierIndex).map(p => p.x),
+                                y: currentPoints.filter((_, i) => !showOutlier || i !== outlierIndex).map(p => p.y),
+                                customdata: diagnostics.points
+                                    .filter((_, i) => !showOutlier || i !== outlierIndex)
+                                    .map(d => [d.leverage, d.cooksDistance]),
                                 type: 'scatter',
                                 mode: 'markers',
                                 name: 'Normal Points',
-                                marker: { color: colors.point, size: 12 },
+                                marker: {
+                                    color: influenceClasses
+                                        .filter((_, i) => !showOutlier || i !== outlierIndex)
+                                        .map(c => influenceStyles[c].color),
+                                    size: 12,
+                                },
+                                hovertemplate: 'x: %{x}<br>y: %{y}<br>leverage: %{customdata[0]:.3f}<br>Cook\'s D: %{customdata[1]:.3f}<extra></extra>',
                             },
                             // Outlier point
                             ...(showOutlier ? [{
@@ -142,8 +279,10 @@ const Outliers = () => {
                                 type: 'scatter',
                                 mode: 'markers',
                                 name: 'Outlier',
+                                customdata: [[draggedDiagnostics.leverage, draggedDiagnostics.cooksDistance]],
+                                hovertemplate: 'x: %{x}<br>y: %{y}<br>leverage: %{customdata[0]:.3f}<br>Cook\'s D: %{customdata[1]:.3f}<extra></extra>',
                                 marker: {
-                                    color: colors.outlier,
+                                    color: influenceStyles[influenceClasses[outlierIndex]].color,
                                     size: 16,
                                     symbol: 'x',
                                     line: { width: 3 }
@@ -151,8 +290,8 @@ const Outliers = () => {
                             }] : []),
                             // Clean regression line
                             {
-                                x: [0, 11],
-                                y: [regWithoutOutlier.intercept, regWithoutOutlier.slope * 11 + regWithoutOutlier.intercept],
+                                x: view.xRange,
+                                y: view.xRange.map(x => regWithoutOutlier.slope * x + regWithoutOutlier.intercept),
                                 type: 'scatter',
                                 mode: 'lines',
                                 name: 'Without Outlier',
@@ -160,13 +299,22 @@ const Outliers = () => {
                             },
                             // Outlier affected line
                             ...(showOutlier ? [{
-                                x: [0, 11],
-                                y: [regWithOutlier.intercept, regWithOutlier.slope * 11 + regWithOutlier.intercept],
+                                x: view.xRange,
+                                y: view.xRange.map(x => regWithOutlier.slope * x + regWithOutlier.intercept),
                                 type: 'scatter',
                                 mode: 'lines',
                                 name: 'With Outlier',
                                 line: { color: colors.lineWith, width: 3 },
                             }] : []),
+                            // Robust lines
+                            ...robustMethods.filter(m => visibleRobust[m.key]).map(m => ({
+                                x: view.xRange,
+                                y: view.xRange.map(x => robustFits[m.key].slope * x + robustFits[m.key].intercept),
+                                type: 'scatter',
+                                mode: 'lines',
+                                name: m.label,
+                                line: { color: m.color, width: 2, dash: 'dot' },
+                            })),
                         ]}
                         layout={{
                             autosize: true,
@@ -174,8 +322,8 @@ const Outliers = () => {
                             paper_bgcolor: colors.bg,
                             plot_bgcolor: colors.bg,
                             font: { color: colors.text },
-                            xaxis: { title: 'X', gridcolor: colors.grid, range: [0, 11] },
-                            yaxis: { title: 'Y', gridcolor: colors.grid, range: [0, 55] },
+                            xaxis: { title: dataset ? axisTitle(dataset.x) : 'X', gridcolor: colors.grid, range: view.xRange },
+                            yaxis: { title: dataset ? axisTitle(dataset.y) : 'Y', gridcolor: colors.grid, range: view.yRange },
                             showlegend: true,
                             legend: { x: 0.02, y: 0.98 },
                         }}
@@ -234,6 +382,76 @@ const Outliers = () => {
                 </div>
             </section>
 
+            {/* Influence Diagnostics */}
+            <section className="section">
+                <h2 className="section-title">
+                    <Crosshair size={24} />
+                    Leverage vs. Influence
+                </h2>
+                <div className="section-content">
+                    <div className="influence-legend">
+                        {Object.entries(influenceStyles).map(([key, style]) => (
+                            <span key={key} className="legend-item">
+                                <span className="legend-swatch" style={{ background: style.color }} />
+                                {style.label}
+                            </span>
+                        ))}
+                    </div>
+
+                    {draggedDiagnostics && diagnostics.thresholds ? (
+                        <div className="metrics-comparison diagnostics-table">
+                            <div className="comparison-header">
+                                <span>Measure</span>
+                                <span>Dragged Point</span>
+                                <span>Rule of Thumb</span>
+                                <span>Flag</span>
+                            </div>
+                            {[
+                                ['Leverage hᵢ', draggedDiagnostics.leverage, diagnostics.thresholds.leverage, '> 2p/n'],
+                                ['Studentized residual', draggedDiagnostics.externallyStudentized, diagnostics.thresholds.studentized, '|t| > 2'],
+                                ["Cook's distance", draggedDiagnostics.cooksDistance, diagnostics.thresholds.cooksDistance, '> 4/n'],
+                                ['DFFITS', draggedDiagnostics.dffits, diagnostics.thresholds.dffits, '|·| > 2√(p/n)'],
+                            ].map(([label, value, threshold, rule]) => (
+                                <div className="comparison-row" key={label}>
+                                    <span className="row-label">{label}</span>
+                                    <span className="change">{formatNumber(value, 3)}</span>
+                                    <span className="change">{rule} = {formatNumber(threshold, 3)}</span>
+                                    <span className={`change ${Math.abs(value) > threshold ? 'significant' : ''}`}>
+                                        {Math.abs(value) > threshold ? 'Exceeds' : 'OK'}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        <p>Add the outlier back to see its diagnostics.</p>
+                    )}
+
+                    <div className="explanation-grid">
+                        <div className="explanation-card">
+                            <h4>📏 Leverage Depends Only on x</h4>
+                            <p>
+                                For a simple regression hᵢ = 1/n + (xᵢ - x̄)² / Σ(xⱼ - x̄)². A point
+                                in the middle of the x range has low leverage; a point at the edge
+                                acts like a long lever arm on the line and can tilt it easily.
+                            </p>
+                        </div>
+                        <div className="explanation-card">
+                            <h4>🎯 Influence Needs Both</h4>
+                            <p>
+                                Cook's distance combines the residual with the leverage. Slide the
+                                outlier to either end of the x range and the slope swings far more
+                                than in the middle, where the same vertical error mostly shifts the
+                                intercept.
+                            </p>
+                        </div>
+                    </div>
+
+                    <div className="diagnostics-section">
+                        <DiagnosticsPanel points={currentPoints} />
+                    </div>
+                </div>
+            </section>
+
             {/* Explanation */}
             <section className="section">
                 <h2 className="section-title">
@@ -296,7 +514,7 @@ const Outliers = () => {
                         <h4>Use Robust Regression</h4>
                         <p>
                             Methods like Huber regression or RANSAC are less sensitive to outliers
-                            than ordinary least squares.
+                            than ordinary least squares. Toggle them on in the demo above.
                         </p>
                     </div>
 
@@ -0,0 +1,100 @@
+/**
+ * Polynomial Regression Page
+ * Curved fits with the same least-squares machinery, and how too many
+ * degrees of freedom overfit
+ */
+
+import PolynomialExplorer from '../components/polynomial/PolynomialExplorer';
+import { Spline, SlidersHorizontal, Scale } from 'lucide-react';
+import './PolynomialRegression.css';
+
+const PolynomialRegression = () => {
+    return (
+        <div className="page polynomial-page">
+            <header className="page-header">
+                <h1 className="page-title">Polynomial Regression</h1>
+                <p className="page-description">
+                    Straight lines can't follow a curve — but the same least-squares fit can,
+                    once powers of x become extra features. The hard part is knowing when to stop.
+                </p>
+                <span className="badge badge-warning">Advanced Topic</span>
+            </header>
+
+            {/* Still linear regression */}
+            <section className="section">
+                <h2 className="section-title">
+                    <Spline size={24} />
+                    Still Linear Regression
+                </h2>
+                <div className="section-content">
+                    <div className="formula-block">
+                        <span className="formula-label">Polynomial Model of Degree d</span>
+                        <div className="formula-display">
+                            ŷ = θ₀ + θ₁x + θ₂x² + … + θ_d x<sup>d</sup>
+                        </div>
+                    </div>
+                    <p>
+                        The curve bends in x, but the model is still <strong>linear in its
+                        parameters</strong>. Treat x, x², …, x<sup>d</sup> as d separate features and
+                        this is multiple regression: the design matrix gets one column per power and
+                        the same normal equations give the θs. Here x is first rescaled to [−1, 1],
+                        which keeps high powers from swamping the computation.
+                    </p>
+                </div>
+            </section>
+
+            {/* Interactive explorer */}
+            <section className="section">
+                <h2 className="section-title">
+                    <SlidersHorizontal size={24} />
+                    Degree vs Error
+                </h2>
+                <p className="section-description">
+                    The data come from a known curve (dashed) plus noise. A third of the points are
+                    held out for validation and never used in the fit. Slide the degree up and
+                    watch the two error curves part ways.
+                </p>
+                <PolynomialExplorer />
+            </section>
+
+            {/* Bias–variance */}
+            <section className="section">
+                <h2 className="section-title">
+                    <Scale size={24} />
+                    The Bias–Variance Tradeoff
+                </h2>
+                <div className="tradeoff-grid">
+                    <div className="tradeoff-card underfit">
+                        <h4>Low degree: high bias</h4>
+                        <p>
+                            The model is too rigid to follow the curve. It is wrong in the same way on
+                            every sample, so training and validation error are both high.
+                        </p>
+                    </div>
+                    <div className="tradeoff-card balanced">
+                        <h4>Just right</h4>
+                        <p>
+                            Flexible enough for the real shape, not for the noise. Validation error
+                            bottoms out — the bottom of the U.
+                        </p>
+                    </div>
+                    <div className="tradeoff-card overfit">
+                        <h4>High degree: high variance</h4>
+                        <p>
+                            The curve threads through every training point. Training error keeps falling,
+                            but a new sample gives a completely different curve and validation error soars.
+                        </p>
+                    </div>
+                </div>
+                <p className="tradeoff-note">
+                    The bias–variance chart fits every degree to 40 fresh samples of the same size:
+                    <strong> bias²</strong> measures how far the average fit is from the true curve,
+                    <strong> variance</strong> how much the fits disagree with each other. Expected
+                    test error is bias² + variance + σ², and no model can go below the noise σ².
+                </p>
+            </section>
+        </div>
+    );
+};
+
+export default PolynomialRegression;
@@ -6,18 +6,72 @@
 import { useState, useMemo } from 'react';
 import Plot from 'react-plotly.js';
 import { useTheme } from '../context/ThemeContext';
+import { useUrlState, codecs, oneOf } from '../hooks/useUrlState';
+import { useSeed } from '../hooks/useSeed';
 import {
     calculateMSE,
     ridgeRegularization,
     lassoRegularization,
+    fitOLS,
+    ridgeRegression,
+    lassoRegression,
+    elasticNetRegression,
+    regularizationPath,
+    logSpace,
     formatNumber
 } from '../utils/regressionMath';
-import { Shield, Scale, Minimize2, AlertCircle } from 'lucide-react';
+import { estimators, createSplits, crossValidateLambda } from '../utils/crossValidation';
+import { housingSample, getHousingMatrix } from '../data/housingSample';
+import { Shield, Scale, Minimize2, Database, TrendingDown, Repeat } from 'lucide-react';
 import './Regularization.css';
 
+// Feature matrix and target for the real-data fits
+const housing = getHousingMatrix();
+
+// Standardized OLS coefficients (λ = 0) as the unpenalized reference
+const olsStandardized = ridgeRegression(housing.X, housing.y, 0).standardizedCoefficients;
+
+// Penalties available on the coefficient path chart
+const pathMethods = [
+    { key: 'ridge', label: 'Ridge' },
+    { key: 'lasso', label: 'Lasso' },
+    { key: 'elasticNet', label: 'Elastic Net' },
+];
+
+// Resampling schemes offered for cross-validation
+const cvSchemes = [
+    { key: '5-fold', label: '5-Fold', scheme: 'kfold', k: 5 },
+    { key: '10-fold', label: '10-Fold', scheme: 'kfold', k: 10 },
+    { key: 'loo', label: 'Leave-One-Out', scheme: 'loo' },
+    { key: 'repeated', label: '5 × 5-Fold', scheme: 'repeated', k: 5, repeats: 5 },
+];
+
+// URL codecs for the tab selections
+const pathMethodCodec = oneOf(pathMethods.map(m => m.key));
+const cvSchemeCodec = oneOf(cvSchemes.map(s => s.key));
+
+// λ grid searched by cross-validation
+const cvLambdas = logSpace(-4, 1, 30);
+
+// Line colors for the coefficient paths, one per feature
+const featureColors = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#3b82f6', '#ec4899'];
+
+// In-sample R² of the unpenalized fit
+const olsR2 = (() => {
+    const fit = fitOLS(housing.X, housing.y);
+    const meanY = housing.y.reduce((acc, v) => acc + v, 0) / housing.y.length;
+    const ssTot = housing.y.reduce((acc, v) => acc + (v - meanY) ** 2, 0);
+    return 1 - fit.rss / ssTot;
+})();
+
 const Regularization = () => {
     const { isDark } = useTheme();
-    const [lambda, setLambda] = useState(0.5);
+    const [lambda, setLambda] = useUrlState('lambda', 0.5, codecs.number);
+    const [alpha, setAlpha] = useUrlState('alpha', 0.5, codecs.number);
+    const [pathMethod, setPathMethod] = useUrlState('path', 'lasso', pathMethodCodec);
+    const [cvMethod, setCvMethod] = useUrlState('cv', 'lasso', pathMethodCodec);
+    const [cvScheme, setCvScheme] = useUrlState('folds', '5-fold', cvSchemeCodec);
+    const [cvSeed, setCvSeed] = useSeed(1, 'cvSeed');
     const [weight, setWeight] = useState(2);
 
     // Sample base cost
@@ -45,6 +99,38 @@ const Regularization = () => {
         return { weights, mseOnly, ridge, lasso };
     }, [lambda]);
 
+    // Penalized fits on the housing sample at the current λ
+    const penalizedFits = useMemo(() => ({
+        ridge: ridgeRegression(housing.X, housing.y, lambda),
+        lasso: lassoRegression(housing.X, housing.y, lambda),
+        elasticNet: elasticNetRegression(housing.X, housing.y, lambda, alpha),
+    }), [lambda, alpha]);
+
+    // Coefficient paths over log-spaced λ
+    const path = useMemo(() => {
+        return regularizationPath(housing.X, housing.y, { method: pathMethod, alpha });
+    }, [pathMethod, alpha]);
+
+    const pathRange = useMemo(() => {
+        const all = path.coefficients.flat();
+        return [Math.min(0, ...all), Math.max(0, ...all)];
+    }, [path]);
+
+    // Cross-validated error across the λ grid
+    const cv = useMemo(() => {
+        const { scheme, k, repeats } = cvSchemes.find(s => s.key === cvScheme);
+        const splits = createSplits(housing.y.length, { scheme, k, repeats, seed: cvSeed });
+        const makeEstimator = (l) => estimators[cvMethod](l, alpha);
+        return crossValidateLambda(housing.X, housing.y, makeEstimator, cvLambdas, splits);
+    }, [cvMethod, cvScheme, cvSeed, alpha]);
+
+    const cvSelections = [
+        { key: 'min', label: 'Minimum CV error', index: cv.bestIndex, color: '#ef4444', symbol: 'circle' },
+        { key: 'one-se', label: '1-SE rule', index: cv.oneSeIndex, color: '#10b981', symbol: 'diamond' },
+    ];
+
+    const countNonZero = (coefficients) => coefficients.filter(c => Math.abs(c) > 1e-10).length;
+
     const colors = {
         bg: isDark ? '#1e1e32' : '#ffffff',
         grid: isDark ? '#2d2d44' : '#e5e7eb',
@@ -52,6 +138,7 @@ const Regularization = () => {
         mse: '#6366f1',
         ridge: '#10b981',
         lasso: '#f59e0b',
+        elasticNet: '#ec4899',
     };
 
     return (
@@ -241,6 +328,186 @@ const Regularization = () => {
                 </div>
             </section>
 
+            {/* Real Data */}
+            <section className="section">
+                <h2 className="section-title">
+                    <Database size={24} />
+                    Fitting Real Data
+                </h2>
+                <p>
+                    Ridge, Lasso and Elastic Net fitted to a {housing.X.length}-home {housingSample.name.toLowerCase()} sample
+                    with {housingSample.features.length} features. Coefficients are shown on the standardized
+                    scale so they can be compared directly. Watch Lasso drop Bedrooms and Lot Size first.
+                </p>
+
+                <div className="reg-demo">
+                    <div className="demo-controls">
+                        <div className="slider-container">
+                            <div className="slider-header">
+                                <span className="slider-label">λ (same as the penalty demo above)</span>
+                                <span className="slider-value">{formatNumber(lambda, 2)}</span>
+                            </div>
+                            <input
+                                type="range"
+                                className="slider"
+                                min="0"
+                                max="2"
+                                step="0.01"
+                                value={lambda}
+                                onChange={(e) => setLambda(parseFloat(e.target.value))}
+                            />
+                        </div>
+
+                        <div className="slider-container">
+                            <div className="slider-header">
+                                <span className="slider-label">α (Elastic Net L1 Mix)</span>
+                                <span className="slider-value">{formatNumber(alpha, 2)}</span>
+                            </div>
+                            <input
+                                type="range"
+                                className="slider"
+                                min="0"
+                                max="1"
+                                step="0.05"
+                                value={alpha}
+                                onChange={(e) => setAlpha(parseFloat(e.target.value))}
+                            />
+                        </div>
+
+                        <div className="cost-comparison">
+                            <div className="cost-item">
+                                <span className="cost-label">OLS</span>
+                                <span className="cost-value mse">{countNonZero(olsStandardized)} features</span>
+                                <span className="penalty">R² {formatNumber(olsR2, 3)}</span>
+                            </div>
+                            <div className="cost-item">
+                                <span className="cost-label">Ridge</span>
+                                <span className="cost-value ridge">{countNonZero(penalizedFits.ridge.coefficients)} features</span>
+                            </div>
+                            <div className="cost-item">
+                                <span className="cost-label">Lasso</span>
+                                <span className="cost-value lasso">{countNonZero(penalizedFits.lasso.coefficients)} features</span>
+                            </div>
+                            <div className="cost-item">
+                                <span className="cost-label">Elastic Net</span>
+                                <span className="cost-value elastic">{countNonZero(penalizedFits.elasticNet.coefficients)} features</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="demo-plot">
+                        <Plot
+                            data={[
+                                ['OLS', olsStandardized, colors.mse],
+                                ['Ridge', penalizedFits.ridge.standardizedCoefficients, colors.ridge],
+                                ['Lasso', penalizedFits.lasso.standardizedCoefficients, colors.lasso],
+                                ['Elastic Net', penalizedFits.elasticNet.standardizedCoefficients, colors.elasticNet],
+                            ].map(([name, values, color]) => ({
+                                x: housingSample.features.map(f => f.label),
+                                y: values,
+                                type: 'bar',
+                                name,
+                                marker: { color },
+                                hovertemplate: `${name}<br>%{x}: %{y:.3f}<extra></extra>`,
+                            }))}
+                            layout={{
+                                autosize: true,
+                                barmode: 'group',
+                                margin: { l: 60, r: 30, t: 30, b: 70 },
+                                paper_bgcolor: colors.bg,
+                                plot_bgcolor: colors.bg,
+                                font: { color: colors.text },
+                                xaxis: { gridcolor: colors.grid },
+                                yaxis: {
+                                    title: 'Standardized Coefficient',
+                                    gridcolor: colors.grid,
+                                    zeroline: true,
+                                    zerolinecolor: colors.text,
+                                },
+                                legend: { orientation: 'h', x: 0, y: 1.12 },
+                            }}
+                            config={{ displayModeBar: false, responsive: true }}
+                            style={{ width: '100%', height: '350px' }}
+                            useResizeHandler={true}
+                        />
+                    </div>
+                </div>
+            </section>
+
+            {/* Regularization Path */}
+            <section className="section">
+                <h2 className="section-title">
+                    <TrendingDown size={24} />
+                    Regularization Path
+                </h2>
+                <p>
+                    Each line follows one coefficient as λ grows from left to right. Lasso paths hit
+                    zero one by one and stay there; Ridge paths shrink smoothly but never reach zero.
+                    The dashed marker follows the λ slider above.
+                </p>
+
+                <div className="path-controls">
+                    <div className="tabs">
+                        {pathMethods.map(method => (
+                            <button
+                                key={method.key}
+                                className={`tab ${pathMethod === method.key ? 'active' : ''}`}
+                                onClick={() => setPathMethod(method.key)}
+                            >
+                                {method.label}
+                            </button>
+                        ))}
+                    </div>
+                    {pathMethod === 'elasticNet' && (
+                        <span className="path-note">α = {formatNumber(alpha, 2)}</span>
+                    )}
+                </div>
+
+                <div className="demo-plot">
+                    <Plot
+                        data={[
+                            ...housingSample.features.map((feature, j) => ({
+                                x: path.lambdas.map(l => Math.log10(l)),
+                                y: path.coefficients.map(c => c[j]),
+                                type: 'scatter',
+                                mode: 'lines',
+                                name: feature.label,
+                                line: { color: featureColors[j % featureColors.length], width: 2 },
+                                hovertemplate: `${feature.label}<br>log₁₀λ: %{x:.2f}<br>coef: %{y:.3f}<extra></extra>`,
+                            })),
+                            // Current λ marker (log scale cannot show λ = 0)
+                            ...(lambda > 0 ? [{
+                                x: [Math.log10(lambda), Math.log10(lambda)],
+                                y: pathRange,
+                                type: 'scatter',
+                                mode: 'lines',
+                                name: `λ = ${formatNumber(lambda, 2)}`,
+                                line: { color: colors.text, width: 2, dash: 'dash' },
+                                hoverinfo: 'skip',
+                            }] : []),
+                        ]}
+                        layout={{
+                            autosize: true,
+                            margin: { l: 60, r: 30, t: 30, b: 50 },
+                            paper_bgcolor: colors.bg,
+                            plot_bgcolor: colors.bg,
+                            font: { color: colors.text },
+                            xaxis: { title: 'log₁₀(λ)', gridcolor: colors.grid },
+                            yaxis: {
+                                title: 'Standardized Coefficient',
+                                gridcolor: colors.grid,
+                                zeroline: true,
+                                zerolinecolor: colors.text,
+                            },
+                            legend: { orientation: 'h', x: 0, y: 1.12 },
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        style={{ width: '100%', height: '380px' }}
+                        useResizeHandler={true}
+                    />
+                </div>
+            </section>
+
             {/* Key Differences */}
             <section className="section">
                 <h2 className="section-title">Key Differences</h2>
@@ -278,17 +545,134 @@ const Regularization = () => {
                 </div>
             </section>
 
-            {/* Coming Soon */}
+            {/* Cross-Validation */}
             <section className="section">
-                <div className="coming-soon">
-                    <AlertCircle size={24} />
-                    <div>
-                        <h3>More Coming in Advanced Topics</h3>
-                        <p>
-                            This is a preview. Full coverage of regularization, including
-                            Elastic Net (L1+L2), cross-validation for λ selection, and
-                            regularization in neural networks, will be covered in advanced modules.
-                        </p>
+                <h2 className="section-title">
+                    <Repeat size={24} />
+                    Choosing λ by Cross-Validation
+                </h2>
+                <p>
+                    Training error always prefers λ = 0. Cross-validation instead fits on part of the data
+                    and scores on the held-out rest, then averages across folds. The <strong>1-SE rule</strong> picks
+                    the largest λ whose CV error is within one standard error of the minimum — a simpler
+                    model that is statistically just as good.
+                </p>
+
+                <div className="reg-demo">
+                    <div className="demo-controls">
+                        <div className="cv-control">
+                            <span className="slider-label">Model</span>
+                            <div className="tabs">
+                                {pathMethods.map(method => (
+                                    <button
+                                        key={method.key}
+                                        className={`tab ${cvMethod === method.key ? 'active' : ''}`}
+                                        onClick={() => setCvMethod(method.key)}
+                                    >
+                                        {method.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="cv-control">
+                            <span className="slider-label">Resampling</span>
+                            <div className="tabs">
+                                {cvSchemes.map(scheme => (
+                                    <button
+                                        key={scheme.key}
+                                        className={`tab ${cvScheme === scheme.key ? 'active' : ''}`}
+                                        onClick={() => setCvScheme(scheme.key)}
+                                    >
+                                        {scheme.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="cv-control">
+                            <label className="slider-label" htmlFor="cv-seed">Shuffle Seed</label>
+                            <input
+                                id="cv-seed"
+                                type="number"
+                                className="form-input seed-input"
+                                min="1"
+                                step="1"
+                                value={cvSeed}
+                                disabled={cvScheme === 'loo'}
+                                onChange={(e) => setCvSeed(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                            />
+                        </div>
+
+                        <div className="cost-comparison">
+                            {cvSelections.map(selection => (
+                                <div className="cost-item" key={selection.key}>
+                                    <span className="cost-label">{selection.label}</span>
+                                    <span className="cost-value" style={{ color: selection.color }}>
+                                        λ = {formatNumber(cv.lambdas[selection.index], 4)}
+                                    </span>
+                                    <span className="penalty">
+                                        MSE {formatNumber(cv.meanErrors[selection.index], 4)} ± {formatNumber(cv.standardErrors[selection.index], 4)}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="demo-plot">
+                        <Plot
+                            data={[
+                                {
+                                    x: cv.lambdas.map(l => Math.log10(l)),
+                                    y: cv.meanErrors,
+                                    error_y: {
+                                        type: 'data',
+                                        array: cv.standardErrors,
+                                        color: colors.text,
+                                        thickness: 1,
+                                        width: 3,
+                                    },
+                                    type: 'scatter',
+                                    mode: 'lines+markers',
+                                    name: 'CV MSE ± 1 SE',
+                                    line: { color: colors[cvMethod], width: 2 },
+                                    marker: { color: colors[cvMethod], size: 5 },
+                                    hovertemplate: 'log₁₀λ: %{x:.2f}<br>CV MSE: %{y:.4f}<extra></extra>',
+                                },
+                                // Horizontal line one SE above the minimum
+                                {
+                                    x: [Math.log10(cv.lambdas[0]), Math.log10(cv.lambdas[cv.lambdas.length - 1])],
+                                    y: Array(2).fill(cv.meanErrors[cv.bestIndex] + cv.standardErrors[cv.bestIndex]),
+                                    type: 'scatter',
+                                    mode: 'lines',
+                                    name: 'Min + 1 SE',
+                                    line: { color: colors.text, width: 1, dash: 'dot' },
+                                    hoverinfo: 'skip',
+                                },
+                                ...cvSelections.map(selection => ({
+                                    x: [Math.log10(cv.lambdas[selection.index])],
+                                    y: [cv.meanErrors[selection.index]],
+                                    type: 'scatter',
+                                    mode: 'markers',
+                                    name: selection.label,
+                                    marker: { color: selection.color, size: 14, symbol: selection.symbol },
+                                    hovertemplate: `${selection.label}<br>λ: ${formatNumber(cv.lambdas[selection.index], 4)}<extra></extra>`,
+                                })),
+                            ]}
+                            layout={{
+                                autosize: true,
+                                margin: { l: 60, r: 30, t: 30, b: 50 },
+                                paper_bgcolor: colors.bg,
+                                plot_bgcolor: colors.bg,
+                                font: { color: colors.text },
+                                xaxis: { title: 'log₁₀(λ)', gridcolor: colors.grid },
+                                yaxis: { title: 'Cross-Validated MSE', gridcolor: colors.grid },
+                                legend: { orientation: 'h', x: 0, y: 1.12 },
+                            }}
+                            config={{ displayModeBar: false, responsive: true }}
+                            style={{ width: '100%', height: '380px' }}
+                            useResizeHandler={true}
+                        />
                     </div>
                 </div>
             </section>
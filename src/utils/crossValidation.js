@@ -0,0 +1,185 @@
+/**
+ * Cross-Validation
+ * Out-of-sample error estimates for any estimator in regressionMath.js
+ * - k-fold, leave-one-out and repeated k-fold splits with seeded shuffling
+ * - CV error (mean ± standard error) across a λ grid
+ * - Minimum-error and "1-SE rule" λ selection
+ *
+ * An estimator is a function (X, y) => predict, where predict(row) returns ŷ.
+ */
+
+import {
+    fitOLS,
+    ridgeRegression,
+    lassoRegression,
+    elasticNetRegression,
+    huberRegression,
+    theilSenRegression,
+    ransacRegression,
+} from './regressionMath';
+import { createRandom, shuffle } from './random';
+
+/**
+ * Predictor for a linear model
+ * @param {number} intercept - β₀
+ * @param {Array} coefficients - β₁ ... βₚ
+ * @returns {Function} row => ŷ
+ */
+const linearPredictor = (intercept, coefficients) => (row) =>
+    row.reduce((acc, v, j) => acc + v * coefficients[j], intercept);
+
+// Robust fits take {x, y} points, so they only use the first feature
+const toPoints = (X, y) => X.map((row, i) => ({ x: row[0], y: y[i] }));
+
+const simplePredictor = ({ slope, intercept }) => (row) => intercept + slope * row[0];
+
+/**
+ * Estimator factories, ready to pass to crossValidate
+ */
+export const estimators = {
+    ols: () => (X, y) => {
+        const [intercept, ...coefficients] = fitOLS(X, y).coefficients;
+        return linearPredictor(intercept, coefficients);
+    },
+    ridge: (lambda) => (X, y) => {
+        const fit = ridgeRegression(X, y, lambda);
+        return linearPredictor(fit.intercept, fit.coefficients);
+    },
+    lasso: (lambda) => (X, y) => {
+        const fit = lassoRegression(X, y, lambda);
+        return linearPredictor(fit.intercept, fit.coefficients);
+    },
+    elasticNet: (lambda, alpha = 0.5) => (X, y) => {
+        const fit = elasticNetRegression(X, y, lambda, alpha);
+        return linearPredictor(fit.intercept, fit.coefficients);
+    },
+    huber: () => (X, y) => simplePredictor(huberRegression(toPoints(X, y))),
+    theilSen: () => (X, y) => simplePredictor(theilSenRegression(toPoints(X, y))),
+    ransac: (seed = 1) => (X, y) =>
+        simplePredictor(ransacRegression(toPoints(X, y), { random: createRandom(seed) })),
+};
+
+/**
+ * k-fold splits
+ * @param {number} n - Number of observations
+ * @param {Object} options - { k: number of folds, shuffle: permute before
+ *                           splitting, seed: shuffle seed }
+ * @returns {Array} Folds as { train, test } index arrays
+ */
+export const kFoldSplits = (n, { k = 5, shuffle: shouldShuffle = true, seed = 1 } = {}) => {
+    const folds = Math.max(2, Math.min(k, n));
+    const indices = Array.from({ length: n }, (_, i) => i);
+    const order = shouldShuffle ? shuffle(indices, createRandom(seed)) : indices;
+
+    // First n mod k folds get one extra observation
+    const splits = [];
+    let start = 0;
+    for (let f = 0; f < folds; f++) {
+        const size = Math.floor(n / folds) + (f < n % folds ? 1 : 0);
+        const test = order.slice(start, start + size);
+        const train = [...order.slice(0, start), ...order.slice(start + size)];
+        splits.push({ train, test });
+        start += size;
+    }
+
+    return splits;
+};
+
+/**
+ * Leave-one-out splits (k = n, no shuffling needed)
+ * @param {number} n - Number of observations
+ * @returns {Array} Folds as { train, test } index arrays
+ */
+export const leaveOneOutSplits = (n) => {
+    return kFoldSplits(n, { k: n, shuffle: false });
+};
+
+/**
+ * Repeated k-fold splits, each repeat reshuffled from a derived seed
+ * @param {number} n - Number of observations
+ * @param {Object} options - { k, repeats, seed }
+ * @returns {Array} Folds of every repeat, concatenated
+ */
+export const repeatedKFoldSplits = (n, { k = 5, repeats = 5, seed = 1 } = {}) => {
+    return Array.from({ length: repeats }, (_, r) =>
+        kFoldSplits(n, { k, shuffle: true, seed: seed + r * 7919 })
+    ).flat();
+};
+
+/**
+ * Splits for a named scheme
+ * @param {number} n - Number of observations
+ * @param {Object} options - { scheme: 'kfold' | 'loo' | 'repeated', k, repeats, seed }
+ * @returns {Array} Folds as { train, test } index arrays
+ */
+export const createSplits = (n, { scheme = 'kfold', k = 5, repeats = 5, seed = 1 } = {}) => {
+    switch (scheme) {
+        case 'loo':
+            return leaveOneOutSplits(n);
+        case 'repeated':
+            return repeatedKFoldSplits(n, { k, repeats, seed });
+        default:
+            return kFoldSplits(n, { k, seed });
+    }
+};
+
+const mean = (values) => values.reduce((acc, v) => acc + v, 0) / values.length;
+
+/**
+ * Cross-validated mean squared error of one estimator
+ * @param {Array} X - n×p array of feature rows
+ * @param {Array} y - Target vector
+ * @param {Function} estimator - (X, y) => predict
+ * @param {Array} splits - Folds from kFoldSplits and friends
+ * @returns {Object} foldErrors (test MSE per fold), meanError and standardError
+ */
+export const crossValidate = (X, y, estimator, splits) => {
+    const foldErrors = splits.map(({ train, test }) => {
+        const predict = estimator(train.map(i => X[i]), train.map(i => y[i]));
+        return mean(test.map(i => (y[i] - predict(X[i])) ** 2));
+    });
+
+    const meanError = mean(foldErrors);
+    const K = foldErrors.length;
+    const variance = K > 1
+        ? foldErrors.reduce((acc, e) => acc + (e - meanError) ** 2, 0) / (K - 1)
+        : 0;
+
+    return { foldErrors, meanError, standardError: Math.sqrt(variance / K) };
+};
+
+/**
+ * CV error across a λ grid, with minimum-error and 1-SE selections
+ * The 1-SE rule picks the largest (simplest) λ whose CV error is within one
+ * standard error of the minimum.
+ * @param {Array} X - n×p array of feature rows
+ * @param {Array} y - Target vector
+ * @param {Function} makeEstimator - λ => estimator, e.g. estimators.lasso
+ * @param {Array} lambdas - λ grid
+ * @param {Array} splits - Folds, shared by every λ so errors are comparable
+ * @returns {Object} lambdas (ascending), meanErrors, standardErrors,
+ *                   bestIndex and oneSeIndex
+ */
+export const crossValidateLambda = (X, y, makeEstimator, lambdas, splits) => {
+    const ascending = [...lambdas].sort((a, b) => a - b);
+    const results = ascending.map(lambda => crossValidate(X, y, makeEstimator(lambda), splits));
+
+    const meanErrors = results.map(r => r.meanError);
+    const standardErrors = results.map(r => r.standardError);
+
+    let bestIndex = 0;
+    meanErrors.forEach((e, i) => {
+        if (e < meanErrors[bestIndex]) bestIndex = i;
+    });
+
+    const limit = meanErrors[bestIndex] + standardErrors[bestIndex];
+    let oneSeIndex = bestIndex;
+    for (let i = ascending.length - 1; i > bestIndex; i--) {
+        if (meanErrors[i] <= limit) {
+            oneSeIndex = i;
+            break;
+        }
+    }
+
+    return { lambdas: ascending, meanErrors, standardErrors, bestIndex, oneSeIndex };
+};
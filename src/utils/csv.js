@@ -0,0 +1,182 @@
+/**
+ * Delimited Text Parsing
+ * CSV / TSV import for user-supplied datasets
+ * - Delimiter detection (comma, tab, semicolon)
+ * - Quoted fields with embedded delimiters, quotes and newlines
+ * - Numeric column extraction with a report of skipped rows
+ */
+
+const DELIMITERS = [',', '\t', ';'];
+
+/**
+ * Guess the delimiter from the first line
+ * @param {string} text - Raw file contents
+ * @returns {string} The candidate delimiter that occurs most often
+ */
+export const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    let best = ',';
+    let bestCount = 0;
+
+    DELIMITERS.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+
+    return best;
+};
+
+/**
+ * Split delimited text into records
+ * @param {string} text - Raw file contents
+ * @param {string} delimiter - Field separator
+ * @returns {Array} Records, each { line, fields } with a 1-based source line
+ */
+const tokenize = (text, delimiter) => {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        // Skip blank lines entirely
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length > 0) endRecord();
+
+    return records;
+};
+
+/**
+ * Parse CSV or TSV text into a table
+ * @param {string} text - Raw file contents
+ * @param {Object} options - { delimiter: auto-detected when omitted,
+ *                           hasHeader: first record holds column names (default true) }
+ * @returns {Object} headers, rows ({ line, values }) and the delimiter used
+ */
+export const parseDelimited = (text, { delimiter, hasHeader = true } = {}) => {
+    const cleaned = text.replace(/^\uFEFF/, '');
+    const separator = delimiter ?? detectDelimiter(cleaned);
+    const records = tokenize(cleaned, separator);
+
+    if (records.length === 0) {
+        return { headers: [], rows: [], delimiter: separator };
+    }
+
+    const width = Math.max(...records.map(r => r.fields.length));
+    const headerRecord = hasHeader ? records[0].fields : [];
+    const headers = Array.from({ length: width }, (_, j) => {
+        const name = (headerRecord[j] ?? '').trim();
+        return name || `Column ${j + 1}`;
+    });
+
+    const rows = records.slice(hasHeader ? 1 : 0).map(r => ({
+        line: r.line,
+        values: r.fields.map(f => f.trim()),
+    }));
+
+    return { headers, rows, delimiter: separator };
+};
+
+/**
+ * Parse a numeric cell, accepting thousands separators and a leading currency sign
+ * @param {string} value - Cell text
+ * @returns {number} The number, or NaN when the cell is not numeric
+ */
+export const parseNumber = (value) => {
+    if (value === undefined) return NaN;
+    const normalized = value.replace(/^[$€£]/, '').replace(/,(?=\d{3}(\D|$))/g, '');
+    if (normalized === '' || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(normalized)) {
+        return NaN;
+    }
+    return parseFloat(normalized);
+};
+
+/**
+ * Extract {x, y} points from two columns of a parsed table
+ * @param {Object} table - Result of parseDelimited
+ * @param {number} xColumn - Column index for x
+ * @param {number} yColumn - Column index for y
+ * @returns {Object} points and skipped rows ({ line, reason })
+ */
+export const extractPoints = (table, xColumn, yColumn) => {
+    const points = [];
+    const skipped = [];
+
+    table.rows.forEach(({ line, values }) => {
+        const rawX = values[xColumn];
+        const rawY = values[yColumn];
+
+        if (rawX === undefined || rawX === '' || rawY === undefined || rawY === '') {
+            skipped.push({ line, reason: 'missing value' });
+            return;
+        }
+
+        const x = parseNumber(rawX);
+        const y = parseNumber(rawY);
+
+        if (isNaN(x) || isNaN(y)) {
+            skipped.push({ line, reason: `non-numeric value "${isNaN(x) ? rawX : rawY}"` });
+            return;
+        }
+
+        points.push({ x, y });
+    });
+
+    return { points, skipped };
+};
+
+/**
+ * Indices of columns that are numeric in most rows, a sensible default mapping
+ * @param {Object} table - Result of parseDelimited
+ * @returns {Array} Column indices
+ */
+export const numericColumns = (table) => {
+    return table.headers
+        .map((_, j) => j)
+        .filter(j => {
+            const filled = table.rows.filter(r => (r.values[j] ?? '') !== '');
+            if (filled.length === 0) return false;
+            const numeric = filled.filter(r => !isNaN(parseNumber(r.values[j])));
+            return numeric.length / filled.length >= 0.5;
+        });
+};
@@ -0,0 +1,104 @@
+/**
+ * Regression Diagnostics
+ * Per-point leverage, studentized residuals and influence measures
+ * - Leverage hᵢ: diagonal of the hat matrix H = X(XᵀX)⁻¹Xᵀ
+ * - Internally / externally studentized residuals
+ * - Cook's distance and DFFITS
+ */
+
+import { fitOLS, buildDesignMatrix } from './regressionMath';
+
+/**
+ * Diagnostics for an existing OLS fit
+ * @param {Object} fit - Result of fitOLS
+ * @param {Array} X - Feature rows the fit was computed from
+ * @returns {Object} points (one diagnostics object per observation) and
+ *                   rule-of-thumb thresholds
+ */
+export const calculateFitDiagnostics = (fit, X) => {
+    const design = buildDesignMatrix(X, fit.hasIntercept);
+    const n = fit.n;
+    const p = fit.rank;
+    const sigma2 = fit.df > 0 ? fit.rss / fit.df : NaN;
+
+    const points = design.map((row, i) => {
+        // hᵢ = xᵢᵀ(XᵀX)⁻¹xᵢ over the estimable (non-aliased) columns
+        let leverage = 0;
+        row.forEach((a, j) => {
+            row.forEach((b, k) => {
+                const c = fit.unscaledCovariance[j][k];
+                if (!isNaN(c)) leverage += a * c * b;
+            });
+        });
+
+        const residual = fit.residuals[i];
+        const oneMinusH = 1 - leverage;
+
+        const studentized = residual / Math.sqrt(sigma2 * oneMinusH);
+
+        // Leave-one-out variance without refitting
+        const dfOut = n - p - 1;
+        const externallyStudentized = dfOut > 0
+            ? studentized * Math.sqrt(dfOut / (n - p - studentized ** 2))
+            : NaN;
+
+        const cooksDistance = (studentized ** 2 / p) * (leverage / oneMinusH);
+        const dffits = externallyStudentized * Math.sqrt(leverage / oneMinusH);
+
+        return {
+            index: i,
+            fitted: fit.fitted[i],
+            residual,
+            leverage,
+            studentized,
+            externallyStudentized,
+            cooksDistance,
+            dffits,
+        };
+    });
+
+    return {
+        points,
+        thresholds: {
+            leverage: (2 * p) / n,
+            studentized: 2,
+            cooksDistance: 4 / n,
+            dffits: 2 * Math.sqrt(p / n),
+        },
+    };
+};
+
+/**
+ * Diagnostics for simple linear regression on {x, y} points
+ * @param {Array} points - Array of {x, y} objects
+ * @returns {Object} points and thresholds, see calculateFitDiagnostics
+ */
+export const calculateDiagnostics = (points) => {
+    if (points.length < 3) {
+        return { points: [], thresholds: null };
+    }
+
+    const X = points.map(p => [p.x]);
+    const fit = fitOLS(X, points.map(p => p.y));
+    return calculateFitDiagnostics(fit, X);
+};
+
+/**
+ * Classify a point by how it affects the fit
+ * @param {Object} point - One entry of diagnostics.points
+ * @param {Object} thresholds - diagnostics.thresholds
+ * @returns {string} 'influential', 'high-leverage', 'outlier' or 'normal'
+ */
+export const classifyInfluence = (point, thresholds) => {
+    if (!thresholds) return 'normal';
+
+    const highLeverage = point.leverage > thresholds.leverage;
+    const outlying = Math.abs(point.externallyStudentized) > thresholds.studentized;
+
+    if (point.cooksDistance > thresholds.cooksDistance && (highLeverage || outlying)) {
+        return 'influential';
+    }
+    if (highLeverage) return 'high-leverage';
+    if (outlying) return 'outlier';
+    return 'normal';
+};
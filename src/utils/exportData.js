@@ -0,0 +1,71 @@
+/**
+ * Data Export
+ * Download points, fitted models, metrics and optimization history
+ * as CSV or JSON for use in a notebook
+ */
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline
+ */
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' && !isFinite(value) ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize an array of objects as CSV
+ * @param {Array} rows - Objects sharing the same keys
+ * @param {Array} columns - Keys to write, in order (default: keys of the first row)
+ * @param {Object} metadata - Optional key/value pairs written as leading "# key: value" lines
+ * @returns {string} CSV text (read back with pandas.read_csv(path, comment='#'))
+ */
+export const toCsv = (rows, columns = Object.keys(rows[0] ?? {}), metadata = {}) => {
+    const comments = Object.entries(metadata).map(([key, value]) => `# ${key}: ${value}`);
+    const header = columns.map(escapeCsv).join(',');
+    const body = rows.map(row => columns.map(c => escapeCsv(row[c])).join(','));
+    return [...comments, header, ...body].join('\n') + '\n';
+};
+
+/**
+ * Serialize a value as pretty-printed JSON, writing non-finite numbers as null
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} JSON text
+ */
+export const toJson = (value) => {
+    return JSON.stringify(value, (_, v) => (typeof v === 'number' && !isFinite(v) ? null : v), 2) + '\n';
+};
+
+/**
+ * Points with the model's predictions and residuals, ready for toCsv
+ * @param {Array} points - Array of {x, y} objects
+ * @param {number} slope - Model slope
+ * @param {number} intercept - Model intercept
+ * @param {Function} predict - Prediction for an x; defaults to the line, pass
+ *                             one that back-transforms when the fit used transforms
+ * @returns {Array} Rows of { x, y, predicted, residual }
+ */
+export const pointsWithPredictions = (points, slope, intercept, predict = (x) => slope * x + intercept) => {
+    return points.map(({ x, y }) => {
+        const predicted = predict(x);
+        return { x, y, predicted, residual: y - predicted };
+    });
+};
+
+/**
+ * Trigger a browser download of generated text
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,79 @@
+/**
+ * Gradient Descent Plots
+ * Plotly settings shared by the simulator and the optimizer race
+ * - Theme colors, base layout and config
+ * - log10 MSE contours in parameter space, with equal-aspect axes
+ */
+
+export const plotConfig = {
+    displayModeBar: false,
+    responsive: true,
+};
+
+/**
+ * Plot colors for the current theme
+ * @param {boolean} isDark - Dark theme active
+ * @returns {Object} Colors by role
+ */
+export const plotColors = (isDark) => ({
+    bg: isDark ? '#1e1e32' : '#ffffff',
+    grid: isDark ? '#2d2d44' : '#e5e7eb',
+    text: isDark ? '#cbd5e1' : '#4a4a68',
+    optimal: '#10b981',
+    start: '#f59e0b',
+});
+
+/**
+ * Layout settings every gradient descent plot starts from
+ * @param {Object} colors - Result of plotColors
+ * @returns {Object} Partial Plotly layout
+ */
+export const baseLayout = (colors) => ({
+    autosize: true,
+    margin: { l: 60, r: 20, t: 40, b: 50 },
+    paper_bgcolor: colors.bg,
+    plot_bgcolor: colors.bg,
+    font: { color: colors.text, family: 'Inter, sans-serif' },
+});
+
+/**
+ * log10 MSE contours: elongated ellipses mean badly scaled features
+ * @param {Object} contours - { x, y, z } grid from the simulator
+ * @param {Object} colors - Result of plotColors
+ * @returns {Object} Plotly contour trace
+ */
+export const costContourTrace = (contours, colors) => ({
+    x: contours.x,
+    y: contours.y,
+    z: contours.z,
+    type: 'contour',
+    ncontours: 20,
+    contours: { coloring: 'lines' },
+    colorscale: [[0, colors.optimal], [1, colors.grid]],
+    line: { width: 1 },
+    showscale: false,
+    hoverinfo: 'skip',
+    showlegend: false,
+});
+
+/**
+ * Weight and bias axes spanning the contour grid at equal scale, so
+ * gradients cross the contours at right angles
+ * @param {Object} contours - { x, y } grid from the simulator
+ * @param {string} weightTitle - Title of the weight axis
+ * @param {Object} colors - Result of plotColors
+ * @returns {Object} { xaxis, yaxis }
+ */
+export const parameterAxes = (contours, weightTitle, colors) => ({
+    xaxis: {
+        title: weightTitle,
+        gridcolor: colors.grid,
+        range: [contours.x[0], contours.x[contours.x.length - 1]],
+    },
+    yaxis: {
+        title: 'Bias (b)',
+        gridcolor: colors.grid,
+        range: [contours.y[0], contours.y[contours.y.length - 1]],
+        scaleanchor: 'x',
+    },
+});
@@ -0,0 +1,191 @@
+/**
+ * Linear Algebra Utilities
+ * Small dense-matrix helpers used by the regression solvers
+ * Matrices are arrays of rows, vectors are plain arrays
+ */
+
+/**
+ * Transpose a matrix
+ * @param {Array} A - m×n matrix
+ * @returns {Array} n×m matrix
+ */
+export const transpose = (A) => {
+    if (A.length === 0) return [];
+    return A[0].map((_, j) => A.map(row => row[j]));
+};
+
+/**
+ * Dot product of two vectors
+ * @param {Array} a - Vector
+ * @param {Array} b - Vector of the same length
+ * @returns {number} Σ aᵢbᵢ
+ */
+export const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+};
+
+/**
+ * Multiply two matrices
+ * @param {Array} A - m×k matrix
+ * @param {Array} B - k×n matrix
+ * @returns {Array} m×n matrix
+ */
+export const matMul = (A, B) => {
+    const Bt = transpose(B);
+    return A.map(row => Bt.map(col => dot(row, col)));
+};
+
+/**
+ * Multiply a matrix by a vector
+ * @param {Array} A - m×n matrix
+ * @param {Array} v - Vector of length n
+ * @returns {Array} Vector of length m
+ */
+export const matVec = (A, v) => A.map(row => dot(row, v));
+
+/**
+ * Create an identity matrix
+ * @param {number} n - Size
+ * @returns {Array} n×n identity
+ */
+export const identity = (n) => {
+    return Array.from({ length: n }, (_, i) =>
+        Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    );
+};
+
+/**
+ * Householder QR decomposition of a tall matrix
+ * Columns that are (numerically) linear combinations of earlier columns
+ * are skipped and reported as aliased instead of producing a tiny pivot.
+ * @param {Array} A - n×p matrix
+ * @param {Array} b - Optional right-hand side, transformed to Qᵀb alongside A
+ * @param {number} tolerance - Relative tolerance for detecting aliased columns
+ * @returns {Object} R (rank×p), pivots (column of each R row), aliased, rank, qtb
+ */
+export const householderQR = (A, b = null, tolerance = 1e-10) => {
+    const n = A.length;
+    const p = n > 0 ? A[0].length : 0;
+
+    // Work on copies so the caller's data is untouched
+    const M = A.map(row => [...row]);
+    const rhs = b ? [...b] : null;
+
+    const pivots = [];
+    const aliased = [];
+    let k = 0;
+
+    for (let j = 0; j < p; j++) {
+        // Scale reference: norm of the original column
+        let columnScale = 0;
+        for (let i = 0; i < n; i++) columnScale += A[i][j] ** 2;
+        columnScale = Math.sqrt(columnScale);
+
+        // Norm of the part of column j not yet explained by earlier columns
+        let norm = 0;
+        for (let i = k; i < n; i++) norm += M[i][j] ** 2;
+        norm = Math.sqrt(norm);
+
+        if (k >= n || norm <= tolerance * Math.max(columnScale, 1)) {
+            aliased.push(j);
+            continue;
+        }
+
+        // Householder vector v = x + sign(x₀)·‖x‖·e₁
+        const alpha = M[k][j] > 0 ? -norm : norm;
+        const v = [];
+        for (let i = k; i < n; i++) v.push(M[i][j]);
+        v[0] -= alpha;
+        const vNormSq = dot(v, v);
+
+        // Apply H = I - 2vvᵀ/(vᵀv) to the remaining columns and the rhs
+        for (let c = j; c < p; c++) {
+            let s = 0;
+            for (let i = k; i < n; i++) s += v[i - k] * M[i][c];
+            const f = (2 * s) / vNormSq;
+            for (let i = k; i < n; i++) M[i][c] -= f * v[i - k];
+        }
+        if (rhs) {
+            let s = 0;
+            for (let i = k; i < n; i++) s += v[i - k] * rhs[i];
+            const f = (2 * s) / vNormSq;
+            for (let i = k; i < n; i++) rhs[i] -= f * v[i - k];
+        }
+
+        pivots.push(j);
+        k++;
+    }
+
+    const R = M.slice(0, k).map((row, i) =>
+        row.map((value, c) => (c < pivots[i] ? 0 : value))
+    );
+
+    return { R, pivots, aliased, rank: k, qtb: rhs };
+};
+
+/**
+ * Solve an upper-triangular system Ux = b by back substitution
+ * @param {Array} U - n×n upper-triangular matrix
+ * @param {Array} b - Vector of length n
+ * @returns {Array} Solution vector
+ */
+export const backSubstitute = (U, b) => {
+    const n = b.length;
+    const x = new Array(n).fill(0);
+
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let j = i + 1; j < n; j++) {
+            sum -= U[i][j] * x[j];
+        }
+        x[i] = sum / U[i][i];
+    }
+
+    return x;
+};
+
+/**
+ * Invert an upper-triangular matrix
+ * @param {Array} U - n×n upper-triangular matrix with non-zero diagonal
+ * @returns {Array} U⁻¹ (also upper-triangular)
+ */
+export const invertUpperTriangular = (U) => {
+    const n = U.length;
+    const columns = identity(n).map(e => backSubstitute(U, e));
+    return transpose(columns);
+};
+
+/**
+ * Solve a square linear system Ax = b
+ * Gaussian elimination with partial pivoting
+ * @param {Array} A - n×n matrix
+ * @param {Array} b - Vector of length n
+ * @returns {Array|null} Solution vector, or null if A is singular
+ */
+export const solveLinearSystem = (A, b) => {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        // Pick the largest pivot in this column for stability
+        let pivotRow = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(M[r][col]) > Math.abs(M[pivotRow][col])) pivotRow = r;
+        }
+        if (Math.abs(M[pivotRow][col]) < 1e-12) return null;
+        [M[col], M[pivotRow]] = [M[pivotRow], M[col]];
+
+        for (let r = col + 1; r < n; r++) {
+            const factor = M[r][col] / M[col][col];
+            for (let c = col; c <= n; c++) {
+                M[r][c] -= factor * M[col][c];
+            }
+        }
+    }
+
+    return backSubstitute(M, M.map(row => row[n]));
+};
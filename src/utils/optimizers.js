@@ -0,0 +1,151 @@
+/**
+ * Gradient Descent Optimizers
+ * Update rules that turn a gradient into a parameter step
+ * - Plain SGD: θ ← θ − α·g
+ * - Momentum and Nesterov accelerated gradient
+ * - AdaGrad, RMSProp and Adam (per-parameter adaptive step sizes)
+ * An optimizer is an object with step(params, gradient, learningRate) that
+ * returns the new parameters, plus an optional lookahead(params) giving the
+ * point to evaluate the next gradient at. Parameters and gradients are
+ * arrays; the optimizer keeps whatever state it needs between steps.
+ */
+
+export const OPTIMIZERS = ['sgd', 'momentum', 'nesterov', 'adagrad', 'rmsprop', 'adam'];
+
+// How many configurations an optimizer race compares
+export const MIN_RACE_RUNS = 2;
+export const MAX_RACE_RUNS = 5;
+
+// Relative distances from the optimal loss offered as a race's finish line
+export const RACE_TOLERANCES = [0.001, 0.01, 0.05];
+
+export const optimizerLabels = {
+    sgd: 'Plain (no momentum)',
+    momentum: 'Momentum',
+    nesterov: 'Nesterov',
+    adagrad: 'AdaGrad',
+    rmsprop: 'RMSProp',
+    adam: 'Adam',
+};
+
+/**
+ * Hyperparameters of each optimizer, with defaults and valid ranges
+ * (step is the input increment; ε has none, since it spans orders of magnitude)
+ */
+export const optimizerHyperparameters = {
+    sgd: [],
+    momentum: [
+        { key: 'beta', label: 'Momentum β', defaultValue: 0.9, min: 0, max: 0.99, step: 0.01 },
+    ],
+    nesterov: [
+        { key: 'beta', label: 'Momentum β', defaultValue: 0.9, min: 0, max: 0.99, step: 0.01 },
+    ],
+    adagrad: [
+        { key: 'epsilon', label: 'ε', defaultValue: 1e-8, min: 1e-10, max: 1e-2 },
+    ],
+    rmsprop: [
+        { key: 'rho', label: 'Decay ρ', defaultValue: 0.9, min: 0, max: 0.999, step: 0.001 },
+        { key: 'epsilon', label: 'ε', defaultValue: 1e-8, min: 1e-10, max: 1e-2 },
+    ],
+    adam: [
+        { key: 'beta1', label: 'β₁', defaultValue: 0.9, min: 0, max: 0.999, step: 0.001 },
+        { key: 'beta2', label: 'β₂', defaultValue: 0.999, min: 0, max: 0.9999, step: 0.0001 },
+        { key: 'epsilon', label: 'ε', defaultValue: 1e-8, min: 1e-10, max: 1e-2 },
+    ],
+};
+
+/**
+ * Fill in defaults and keep every hyperparameter in its range
+ * @param {string} type - One of OPTIMIZERS
+ * @param {Object} hyperparameters - Partial settings
+ * @returns {Object} Complete settings for that optimizer
+ */
+export const normalizeHyperparameters = (type, hyperparameters = {}) => {
+    const specs = optimizerHyperparameters[type] ?? [];
+    return Object.fromEntries(specs.map(({ key, defaultValue, min, max }) => {
+        const value = hyperparameters[key];
+        return [key, typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : defaultValue];
+    }));
+};
+
+/**
+ * Create an optimizer with fresh state
+ * @param {string} type - One of OPTIMIZERS
+ * @param {Object} hyperparameters - Settings (see optimizerHyperparameters)
+ * @returns {Object} { type, step(params, gradient, learningRate), lookahead? }
+ */
+export const createOptimizer = (type = 'sgd', hyperparameters = {}) => {
+    const settings = normalizeHyperparameters(type, hyperparameters);
+    let velocity = null;
+    let squares = null;
+    let moments = null;
+    let t = 0;
+
+    const zeros = (params) => params.map(() => 0);
+
+    switch (type) {
+        // v ← βv − α·g(θ), θ ← θ + v
+        case 'momentum':
+            return {
+                type,
+                step: (params, gradient, learningRate) => {
+                    velocity = (velocity ?? zeros(params)).map((v, i) => settings.beta * v - learningRate * gradient[i]);
+                    return params.map((p, i) => p + velocity[i]);
+                },
+            };
+
+        // Same as momentum, but the gradient is taken where momentum is about to carry θ
+        case 'nesterov':
+            return {
+                type,
+                lookahead: (params) => (velocity ? params.map((p, i) => p + settings.beta * velocity[i]) : params),
+                step: (params, gradient, learningRate) => {
+                    velocity = (velocity ?? zeros(params)).map((v, i) => settings.beta * v - learningRate * gradient[i]);
+                    return params.map((p, i) => p + velocity[i]);
+                },
+            };
+
+        // G ← G + g², θ ← θ − α·g / (√G + ε)
+        case 'adagrad':
+            return {
+                type,
+                step: (params, gradient, learningRate) => {
+                    squares = (squares ?? zeros(params)).map((s, i) => s + gradient[i] ** 2);
+                    return params.map((p, i) => p - learningRate * gradient[i] / (Math.sqrt(squares[i]) + settings.epsilon));
+                },
+            };
+
+        // E ← ρE + (1 − ρ)·g², θ ← θ − α·g / (√E + ε)
+        case 'rmsprop':
+            return {
+                type,
+                step: (params, gradient, learningRate) => {
+                    squares = (squares ?? zeros(params)).map((s, i) => settings.rho * s + (1 - settings.rho) * gradient[i] ** 2);
+                    return params.map((p, i) => p - learningRate * gradient[i] / (Math.sqrt(squares[i]) + settings.epsilon));
+                },
+            };
+
+        // Bias-corrected first and second moments: θ ← θ − α·m̂ / (√v̂ + ε)
+        case 'adam':
+            return {
+                type,
+                step: (params, gradient, learningRate) => {
+                    const { beta1, beta2, epsilon } = settings;
+                    t += 1;
+                    moments = (moments ?? zeros(params)).map((m, i) => beta1 * m + (1 - beta1) * gradient[i]);
+                    squares = (squares ?? zeros(params)).map((s, i) => beta2 * s + (1 - beta2) * gradient[i] ** 2);
+                    return params.map((p, i) => {
+                        const mHat = moments[i] / (1 - beta1 ** t);
+                        const vHat = squares[i] / (1 - beta2 ** t);
+                        return p - learningRate * mHat / (Math.sqrt(vHat) + epsilon);
+                    });
+                },
+            };
+
+        default:
+            return {
+                type: 'sgd',
+                step: (params, gradient, learningRate) => params.map((p, i) => p - learningRate * gradient[i]),
+            };
+    }
+};
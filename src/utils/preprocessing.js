@@ -0,0 +1,162 @@
+/**
+ * Preprocessing for Imported Tables
+ * Turns a parsed CSV table into a design matrix for multiple regression
+ * - Numeric vs categorical column detection
+ * - Missing values: drop the row, or mean / median imputation
+ * - Categorical predictors: dummy (drop a reference level) or one-hot encoding
+ */
+
+import { parseNumber } from './csv';
+import { median } from './statistics';
+
+// Cell contents treated as missing, compared case-insensitively
+const MISSING_MARKERS = ['', 'na', 'n/a', 'nan', 'null', 'none', '?', '-'];
+
+/**
+ * Whether a cell holds no value
+ * @param {string} value - Cell text
+ * @returns {boolean} True for blanks and common missing-value markers
+ */
+export const isMissing = (value) => (
+    value === undefined || value === null || MISSING_MARKERS.includes(String(value).trim().toLowerCase())
+);
+
+/**
+ * Describe each column of a parsed table
+ * A column is numeric when every non-missing cell parses as a number;
+ * anything else is categorical, with its levels sorted alphabetically.
+ * @param {Object} table - Result of parseDelimited
+ * @returns {Array} Per column: { index, name, type, missing, levels }
+ */
+export const describeColumns = (table) => {
+    return table.headers.map((name, index) => {
+        const present = table.rows.map(r => r.values[index]).filter(v => !isMissing(v));
+        const numeric = present.length > 0 && present.every(v => !isNaN(parseNumber(v)));
+
+        return {
+            index,
+            name,
+            type: numeric ? 'numeric' : 'categorical',
+            missing: table.rows.length - present.length,
+            levels: numeric ? [] : [...new Set(present)].sort(),
+        };
+    });
+};
+
+/**
+ * Value used to fill missing cells
+ * Categorical columns always use their most frequent level.
+ * @param {Array} values - Non-missing values (numbers or level names)
+ * @param {string} strategy - 'mean' | 'median'
+ * @param {string} type - 'numeric' | 'categorical'
+ * @returns {number|string} Fill value
+ */
+export const imputationValue = (values, strategy, type) => {
+    if (values.length === 0) return null;
+
+    if (type === 'categorical') {
+        const counts = new Map();
+        values.forEach(v => counts.set(v, (counts.get(v) ?? 0) + 1));
+        return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+    }
+
+    if (strategy === 'median') return median(values);
+    return values.reduce((acc, v) => acc + v, 0) / values.length;
+};
+
+/**
+ * Indicator columns for a categorical variable
+ * Dummy encoding drops the reference level, which the intercept absorbs;
+ * one-hot keeps every level, so alongside an intercept the columns are
+ * collinear (the dummy-variable trap).
+ * @param {Array} levels - Level names
+ * @param {Object} options - { encoding: 'dummy' | 'onehot', reference: level to drop }
+ * @returns {Array} Levels that get their own column
+ */
+export const encodedLevels = (levels, { encoding = 'dummy', reference } = {}) => {
+    if (encoding === 'onehot') return levels;
+    const dropped = levels.includes(reference) ? reference : levels[0];
+    return levels.filter(level => level !== dropped);
+};
+
+/**
+ * Build X and y from a table
+ * Rows with a missing target are always dropped; missing predictors are
+ * dropped or imputed depending on `missing`.
+ * @param {Object} table - Result of parseDelimited
+ * @param {Object} spec - { target: column index,
+ *                        predictors: [{ column, encoding, reference }],
+ *                        missing: 'drop' | 'mean' | 'median' }
+ * @returns {Object} X, y, featureNames, dropped rows ({ line, reason }) and
+ *                   imputed cell counts per column name
+ */
+export const buildModelData = (table, { target, predictors, missing = 'drop' }) => {
+    const columns = describeColumns(table);
+    const cell = (row, index) => row.values[index];
+
+    // Fill values come from the rows that have a target, so dropped rows do not leak in
+    const usable = table.rows.filter(row => !isMissing(cell(row, target)));
+    const fills = new Map();
+    if (missing !== 'drop') {
+        predictors.forEach(({ column }) => {
+            const { type } = columns[column];
+            const present = usable.map(row => cell(row, column)).filter(v => !isMissing(v));
+            const values = type === 'numeric' ? present.map(parseNumber) : present;
+            fills.set(column, imputationValue(values, missing, type));
+        });
+    }
+
+    const featureNames = predictors.flatMap(({ column, ...encoding }) => {
+        const info = columns[column];
+        if (info.type === 'numeric') return [info.name];
+        return encodedLevels(info.levels, encoding).map(level => `${info.name}[${level}]`);
+    });
+
+    const X = [];
+    const y = [];
+    const dropped = [];
+    const imputed = {};
+
+    table.rows.forEach(row => {
+        if (isMissing(cell(row, target))) {
+            dropped.push({ line: row.line, reason: `missing ${columns[target].name}` });
+            return;
+        }
+
+        const features = [];
+        const filled = [];
+        for (const { column, ...encoding } of predictors) {
+            const info = columns[column];
+            let value = cell(row, column);
+
+            if (isMissing(value)) {
+                if (missing === 'drop' || fills.get(column) === null) {
+                    dropped.push({ line: row.line, reason: `missing ${info.name}` });
+                    return;
+                }
+                value = fills.get(column);
+                filled.push(info.name);
+            }
+
+            if (info.type === 'numeric') {
+                features.push(typeof value === 'number' ? value : parseNumber(value));
+            } else {
+                encodedLevels(info.levels, encoding).forEach(level => features.push(value === level ? 1 : 0));
+            }
+        }
+
+        const targetValue = parseNumber(cell(row, target));
+        if (isNaN(targetValue)) {
+            dropped.push({ line: row.line, reason: `non-numeric ${columns[target].name}` });
+            return;
+        }
+
+        filled.forEach(name => {
+            imputed[name] = (imputed[name] ?? 0) + 1;
+        });
+        X.push(features);
+        y.push(targetValue);
+    });
+
+    return { X, y, featureNames, dropped, imputed };
+};
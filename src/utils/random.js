@@ -0,0 +1,103 @@
+/**
+ * Seeded Random Numbers
+ * Reproducible pseudo-random streams for shuffling and sampling
+ * - mulberry32 generator: same seed, same sequence
+ * - Gaussian sampling via Box–Muller
+ * - Laplace and Student-t sampling for heavy-tailed noise
+ * - Fisher–Yates shuffle driven by any uniform generator
+ */
+
+/**
+ * Create a seeded uniform generator on [0, 1)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator with the same contract as Math.random
+ */
+export const createRandom = (seed = 1) => {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Shuffle a copy of an array (Fisher–Yates)
+ * @param {Array} values - Values to shuffle
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export const shuffle = (values, random = Math.random) => {
+    const result = [...values];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Standard normal generator (Box–Muller) on top of a uniform generator
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Function} (mean = 0, sd = 1) => normally distributed value
+ */
+export const createGaussian = (random = Math.random) => {
+    let spare = null;
+
+    return (mean = 0, sd = 1) => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return mean + sd * value;
+        }
+
+        // 1 - u keeps the logarithm away from zero
+        const u = 1 - random();
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return mean + sd * radius * Math.cos(2 * Math.PI * v);
+    };
+};
+
+/**
+ * Laplace (double exponential) generator by inverse transform
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Function} (location = 0, scale = 1) => Laplace distributed value
+ */
+export const createLaplace = (random = Math.random) => {
+    return (location = 0, scale = 1) => {
+        const u = random() - 0.5;
+        // Clamp keeps the logarithm finite when u is exactly -0.5
+        const tail = Math.max(1 - 2 * Math.abs(u), Number.MIN_VALUE);
+        return location - scale * Math.sign(u) * Math.log(tail);
+    };
+};
+
+/**
+ * Student-t generator: a standard normal over the root of a scaled
+ * chi-squared draw built from df squared normals
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Function} (df = 3, scale = 1) => t distributed value (integer df)
+ */
+export const createStudentT = (random = Math.random) => {
+    const gaussian = createGaussian(random);
+
+    return (df = 3, scale = 1) => {
+        const z = gaussian();
+        let chiSquared = 0;
+        for (let i = 0; i < df; i++) {
+            chiSquared += gaussian() ** 2;
+        }
+        return scale * z / Math.sqrt(chiSquared / df);
+    };
+};
+
+/**
+ * Fresh seed for "new data" buttons
+ * @returns {number} Integer in [1, 999999]
+ */
+export const randomSeed = () => Math.floor(Math.random() * 999999) + 1;
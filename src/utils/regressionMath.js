@@ -3,6 +3,27 @@
  * Core functions for regression calculations, metrics, and optimization
  */
 
+import {
+    dot,
+    matVec,
+    transpose,
+    matMul,
+    householderQR,
+    backSubstitute,
+    invertUpperTriangular,
+    solveLinearSystem,
+} from './linearAlgebra';
+import {
+    studentTQuantile,
+    twoSidedPValue,
+    median,
+    medianAbsoluteDeviation,
+} from './statistics';
+import { createRandom, createGaussian, createLaplace, createStudentT, shuffle } from './random';
+import { polynomialFeatures } from './transforms';
+import { createOptimizer } from './optimizers';
+import { createSchedule } from './schedules';
+
 /**
  * Calculate simple linear regression (y = mx + b)
  * Using least squares method
@@ -144,82 +165,362 @@ export const calculateAllMetrics = (points, slope, intercept) => {
     };
 };
 
+/**
+ * Gradient of the MSE with respect to slope and intercept
+ * ∂J/∂m = (2/n)·Σ(ŷᵢ − yᵢ)·xᵢ, ∂J/∂b = (2/n)·Σ(ŷᵢ − yᵢ)
+ * @param {Array} points - Array of {x, y} objects
+ * @param {number} slope - Slope to evaluate at
+ * @param {number} intercept - Intercept to evaluate at
+ * @returns {Object} { slopeGradient, interceptGradient }
+ */
+export const calculateMSEGradient = (points, slope, intercept) => {
+    let slopeGradient = 0;
+    let interceptGradient = 0;
+
+    points.forEach(p => {
+        const error = slope * p.x + intercept - p.y;
+        slopeGradient += error * p.x;
+        interceptGradient += error;
+    });
+
+    return {
+        slopeGradient: (2 / points.length) * slopeGradient,
+        interceptGradient: (2 / points.length) * interceptGradient,
+    };
+};
+
+// Update rules: the whole dataset, small shuffled batches, or one point per step
+export const GD_VARIANTS = ['batch', 'minibatch', 'stochastic'];
+
 /**
  * Perform gradient descent optimization
+ * Full-batch by default. With a batch size below n, every epoch shuffles
+ * the points and takes one step per mini-batch; batch size 1 is SGD.
+ * The step itself comes from an optimizer (see optimizers.js): plain
+ * steps by default, or momentum, Nesterov, AdaGrad, RMSProp and Adam.
+ * A schedule (see schedules.js) can change the step size every epoch.
  * @param {Array} points - Training data points
- * @param {number} learningRate - Step size for updates
+ * @param {number} learningRate - Step size for updates (the base rate of a schedule)
  * @param {number} iterations - Number of epochs
  * @param {number} initialSlope - Starting slope value
  * @param {number} initialIntercept - Starting intercept value
- * @returns {Object} Optimization history and final parameters
+ * @param {Object} options - { batchSize: points per update (default: all),
+ *                           seed: seed for the per-epoch shuffles,
+ *                           optimizer: one of OPTIMIZERS or an optimizer object,
+ *                           hyperparameters: settings for a named optimizer,
+ *                           schedule: one of SCHEDULES or epoch → learning rate,
+ *                           scheduleParameters: settings for a named schedule }
+ * @returns {Object} Per-update history (step, epoch, learning rate, parameters,
+ *                   full-data loss, batch gradients), updatesPerEpoch and final parameters
  */
 export const gradientDescent = (
     points,
     learningRate = 0.01,
     iterations = 100,
     initialSlope = 0,
-    initialIntercept = 0
+    initialIntercept = 0,
+    {
+        batchSize = null,
+        seed = 1,
+        optimizer = 'sgd',
+        hyperparameters = {},
+        schedule = 'constant',
+        scheduleParameters = {},
+    } = {}
 ) => {
     let slope = initialSlope;
     let intercept = initialIntercept;
     const n = points.length;
+    const rule = typeof optimizer === 'string' ? createOptimizer(optimizer, hyperparameters) : optimizer;
+    const rateAt = typeof schedule === 'string'
+        ? createSchedule(schedule, scheduleParameters, learningRate, iterations)
+        : schedule;
+    const size = batchSize ? Math.min(Math.max(Math.round(batchSize), 1), n) : n;
+    const updatesPerEpoch = n > 0 ? Math.ceil(n / size) : 0;
+    const random = createRandom(seed);
     const history = [];
 
-    for (let i = 0; i < iterations; i++) {
-        // Calculate gradients
-        let slopeGradient = 0;
-        let interceptGradient = 0;
+    for (let epoch = 1; epoch <= iterations; epoch++) {
+        const order = size < n ? shuffle(points, random) : points;
+        const rate = rateAt(epoch);
 
-        points.forEach(p => {
-            const prediction = slope * p.x + intercept;
-            const error = prediction - p.y;
-            slopeGradient += error * p.x;
-            interceptGradient += error;
-        });
+        for (let start = 0; start < n; start += size) {
+            const batch = order.slice(start, start + size);
 
-        slopeGradient = (2 / n) * slopeGradient;
-        interceptGradient = (2 / n) * interceptGradient;
+            // Calculate gradients on this batch, where the optimizer asks for them
+            const [atSlope, atIntercept] = rule.lookahead ? rule.lookahead([slope, intercept]) : [slope, intercept];
+            const { slopeGradient, interceptGradient } = calculateMSEGradient(batch, atSlope, atIntercept);
 
-        // Update parameters
-        slope = slope - learningRate * slopeGradient;
-        intercept = intercept - learningRate * interceptGradient;
+            // Update parameters
+            [slope, intercept] = rule.step([slope, intercept], [slopeGradient, interceptGradient], rate);
 
-        // Calculate loss for this epoch
-        const mse = calculateMSE(points, slope, intercept);
+            // Loss on the full dataset, so every variant is measured the same way
+            const mse = calculateMSE(points, slope, intercept);
 
-        history.push({
-            epoch: i + 1,
-            slope,
-            intercept,
-            loss: mse,
-            slopeGradient,
-            interceptGradient,
-        });
+            history.push({
+                step: history.length + 1,
+                epoch,
+                learningRate: rate,
+                slope,
+                intercept,
+                loss: mse,
+                slopeGradient,
+                interceptGradient,
+            });
 
-        // Early stopping if loss becomes NaN (divergence)
-        if (!isFinite(mse)) {
-            break;
+            // Early stopping if loss becomes NaN (divergence)
+            if (!isFinite(mse)) break;
         }
+
+        if (history.length > 0 && !isFinite(history[history.length - 1].loss)) break;
     }
 
     return {
         finalSlope: slope,
         finalIntercept: intercept,
         history,
+        updatesPerEpoch,
         converged: history.length > 0 && isFinite(history[history.length - 1].loss),
     };
 };
 
+/**
+ * First epoch whose loss is within a relative tolerance of the optimal loss
+ * @param {Array} history - History from gradientDescent
+ * @param {number} optimalLoss - MSE of the least-squares solution
+ * @param {number} tolerance - Relative tolerance (0.01 = within 1%)
+ * @returns {number|null} Epoch, or null when the run never gets there
+ */
+export const epochsToTolerance = (history, optimalLoss, tolerance = 0.01) => (
+    history.find(h => h.loss <= optimalLoss * (1 + tolerance) + 1e-12)?.epoch ?? null
+);
+
+/**
+ * Build a design matrix from feature rows
+ * @param {Array} X - n×p array of feature rows
+ * @param {boolean} intercept - Prepend a column of ones
+ * @returns {Array} n×(p+1) or n×p design matrix
+ */
+export const buildDesignMatrix = (X, intercept = true) => {
+    return X.map(row => (intercept ? [1, ...row] : [...row]));
+};
+
+/**
+ * Ordinary least squares for any number of features
+ * Solves θ = (XᵀX)⁻¹Xᵀy through a Householder QR decomposition (Rθ = Qᵀy),
+ * which avoids forming XᵀX and squaring its condition number.
+ * Aliased columns (exact linear combinations of earlier ones, e.g. the
+ * dummy-variable trap) get a coefficient of 0 and are listed in `aliased`.
+ * @param {Array} X - n×p array of feature rows (without the intercept column)
+ * @param {Array} y - Target vector of length n
+ * @param {Object} options - { intercept: prepend a column of ones (default true) }
+ * @returns {Object} coefficients (intercept first when fitted), fitted values,
+ *                   residuals, rank, aliased columns and (XᵀX)⁻¹
+ */
+export const fitOLS = (X, y, { intercept = true } = {}) => {
+    const design = buildDesignMatrix(X, intercept);
+    const n = design.length;
+    const p = n > 0 ? design[0].length : (intercept ? 1 : 0);
+
+    if (n === 0 || p === 0) {
+        return {
+            coefficients: new Array(p).fill(0),
+            fitted: [],
+            residuals: [],
+            rank: 0,
+            aliased: [],
+            unscaledCovariance: [],
+            n,
+            p,
+            df: 0,
+            rss: 0,
+            hasIntercept: intercept,
+        };
+    }
+
+    const { R, pivots, aliased, rank, qtb } = householderQR(design, y);
+
+    // Back-substitute on the square block formed by the pivot columns
+    const Rs = R.map(row => pivots.map(c => row[c]));
+    const solved = backSubstitute(Rs, qtb.slice(0, rank));
+
+    const coefficients = new Array(p).fill(0);
+    pivots.forEach((c, i) => {
+        coefficients[c] = solved[i];
+    });
+
+    const fitted = matVec(design, coefficients);
+    const residuals = y.map((yi, i) => yi - fitted[i]);
+    const rss = residuals.reduce((acc, r) => acc + r ** 2, 0);
+
+    // (XᵀX)⁻¹ = R⁻¹R⁻ᵀ on the estimable columns, NaN for aliased ones
+    const Rinv = invertUpperTriangular(Rs);
+    const covS = Rinv.map(ri => Rinv.map(rj => dot(ri, rj)));
+    const unscaledCovariance = Array.from({ length: p }, () => new Array(p).fill(NaN));
+    pivots.forEach((ci, i) => {
+        pivots.forEach((cj, j) => {
+            unscaledCovariance[ci][cj] = covS[i][j];
+        });
+    });
+
+    return {
+        coefficients,
+        fitted,
+        residuals,
+        rank,
+        aliased,
+        unscaledCovariance,
+        n,
+        p,
+        df: n - rank,
+        rss,
+        hasIntercept: intercept,
+    };
+};
+
+/**
+ * Coefficient inference for an OLS fit
+ * σ̂ = √(RSS / (n - rank)), SE(θⱼ) = σ̂·√[(XᵀX)⁻¹]ⱼⱼ, t = θⱼ / SE(θⱼ)
+ * @param {Object} fit - Result of fitOLS
+ * @param {number} confidenceLevel - Confidence level for the intervals (e.g. 0.95)
+ * @returns {Object} Residual standard error, degrees of freedom and, per
+ *                   coefficient, estimate, standard error, t, p-value and CI
+ */
+export const calculateCoefficientInference = (fit, confidenceLevel = 0.95) => {
+    const { df, rss } = fit;
+    const residualStandardError = df > 0 ? Math.sqrt(rss / df) : NaN;
+    const criticalT = df > 0 ? studentTQuantile(1 - (1 - confidenceLevel) / 2, df) : NaN;
+
+    const coefficients = fit.coefficients.map((estimate, j) => {
+        const variance = fit.unscaledCovariance[j]?.[j];
+        const standardError = residualStandardError * Math.sqrt(variance);
+        const tStatistic = estimate / standardError;
+
+        return {
+            estimate,
+            standardError,
+            tStatistic,
+            pValue: df > 0 ? twoSidedPValue(tStatistic, df) : NaN,
+            lower: estimate - criticalT * standardError,
+            upper: estimate + criticalT * standardError,
+            aliased: fit.aliased.includes(j),
+        };
+    });
+
+    return {
+        residualStandardError,
+        df,
+        confidenceLevel,
+        criticalT,
+        coefficients,
+    };
+};
+
+/**
+ * Inference for simple linear regression (y = mx + b)
+ * @param {Array} points - Array of {x, y} objects
+ * @param {number} confidenceLevel - Confidence level for the intervals
+ * @returns {Object} intercept and slope inference rows plus residual standard error
+ */
+export const calculateRegressionInference = (points, confidenceLevel = 0.95) => {
+    if (points.length < 2) {
+        const empty = {
+            estimate: NaN, standardError: NaN, tStatistic: NaN,
+            pValue: NaN, lower: NaN, upper: NaN, aliased: false,
+        };
+        return {
+            intercept: empty,
+            slope: empty,
+            residualStandardError: NaN,
+            df: 0,
+            criticalT: NaN,
+            confidenceLevel,
+        };
+    }
+
+    const fit = fitOLS(points.map(p => [p.x]), points.map(p => p.y));
+    const inference = calculateCoefficientInference(fit, confidenceLevel);
+    const [intercept, slope] = inference.coefficients;
+
+    return {
+        intercept,
+        slope,
+        residualStandardError: inference.residualStandardError,
+        df: inference.df,
+        criticalT: inference.criticalT,
+        confidenceLevel,
+    };
+};
+
+/**
+ * Confidence and prediction bands around a simple regression line
+ * Mean response:  ŷ₀ ± t·σ̂·√(1/n + (x₀ - x̄)² / Sxx)
+ * New observation: ŷ₀ ± t·σ̂·√(1 + 1/n + (x₀ - x̄)² / Sxx)
+ * @param {Array} points - Array of {x, y} objects
+ * @param {Array} xs - x values at which to evaluate the bands
+ * @param {number} confidenceLevel - Confidence level (e.g. 0.95)
+ * @returns {Object} x, fitted and lower/upper arrays for both bands (empty if n < 3)
+ */
+export const calculateIntervalBands = (points, xs, confidenceLevel = 0.95) => {
+    const bands = {
+        x: [],
+        fitted: [],
+        confidenceLower: [],
+        confidenceUpper: [],
+        predictionLower: [],
+        predictionUpper: [],
+    };
+
+    const n = points.length;
+    if (n < 3) return bands;
+
+    const { slope, intercept, meanX } = calculateLinearRegression(points);
+    const sxx = points.reduce((acc, p) => acc + (p.x - meanX) ** 2, 0);
+    if (sxx === 0) return bands;
+
+    const rss = points.reduce((acc, p) => acc + (p.y - (slope * p.x + intercept)) ** 2, 0);
+    const sigma = Math.sqrt(rss / (n - 2));
+    const criticalT = studentTQuantile(1 - (1 - confidenceLevel) / 2, n - 2);
+
+    xs.forEach(x0 => {
+        const yHat = slope * x0 + intercept;
+        const leverage = 1 / n + (x0 - meanX) ** 2 / sxx;
+        const meanHalfWidth = criticalT * sigma * Math.sqrt(leverage);
+        const predictionHalfWidth = criticalT * sigma * Math.sqrt(1 + leverage);
+
+        bands.x.push(x0);
+        bands.fitted.push(yHat);
+        bands.confidenceLower.push(yHat - meanHalfWidth);
+        bands.confidenceUpper.push(yHat + meanHalfWidth);
+        bands.predictionLower.push(yHat - predictionHalfWidth);
+        bands.predictionUpper.push(yHat + predictionHalfWidth);
+    });
+
+    return bands;
+};
+
 /**
  * Normal Equation solution (closed-form)
  * θ = (X^T X)^(-1) X^T y
- * For simple linear regression: solves exactly without iteration
+ * Solved with the matrix OLS solver rather than the one-feature shortcut
  * @param {Array} points - Array of {x, y} objects
- * @returns {Object} slope and intercept
+ * @returns {Object} slope, intercept and predictions
  */
 export const normalEquation = (points) => {
-    // This is mathematically equivalent to least squares for simple regression
-    return calculateLinearRegression(points);
+    if (points.length < 2) {
+        return { slope: 0, intercept: 0, predictions: [] };
+    }
+
+    const fit = fitOLS(points.map(p => [p.x]), points.map(p => p.y));
+    const [intercept, slope] = fit.coefficients;
+
+    const predictions = points.map((p, i) => ({
+        x: p.x,
+        yActual: p.y,
+        yPredicted: fit.fitted[i],
+    }));
+
+    return { slope, intercept, predictions };
 };
 
 /**
@@ -300,6 +601,158 @@ export const detectOutliers = (points, slope, intercept) => {
         .map(r => r.index);
 };
 
+/**
+ * Weighted least squares for a single feature
+ * @param {Array} points - Array of {x, y} objects
+ * @param {Array} weights - Non-negative weight per point
+ * @returns {Object} slope and intercept
+ */
+const weightedLinearRegression = (points, weights) => {
+    const totalWeight = weights.reduce((acc, w) => acc + w, 0);
+    if (totalWeight === 0) return { slope: 0, intercept: 0 };
+
+    const meanX = points.reduce((acc, p, i) => acc + weights[i] * p.x, 0) / totalWeight;
+    const meanY = points.reduce((acc, p, i) => acc + weights[i] * p.y, 0) / totalWeight;
+
+    let numerator = 0;
+    let denominator = 0;
+    points.forEach((p, i) => {
+        numerator += weights[i] * (p.x - meanX) * (p.y - meanY);
+        denominator += weights[i] * (p.x - meanX) ** 2;
+    });
+
+    const slope = denominator !== 0 ? numerator / denominator : 0;
+    return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * Huber M-estimation by iteratively reweighted least squares
+ * Residuals within k·σ̂ get full weight, larger ones are down-weighted by k·σ̂/|r|,
+ * so their pull grows linearly instead of quadratically.
+ * @param {Array} points - Array of {x, y} objects
+ * @param {Object} options - { k: tuning constant (1.345 gives 95% efficiency),
+ *                           maxIterations, tolerance }
+ * @returns {Object} slope, intercept, final weights and iterations used
+ */
+export const huberRegression = (points, { k = 1.345, maxIterations = 50, tolerance = 1e-8 } = {}) => {
+    if (points.length < 2) {
+        return { slope: 0, intercept: 0, weights: [], iterations: 0 };
+    }
+
+    let { slope, intercept } = calculateLinearRegression(points);
+    let weights = points.map(() => 1);
+    let iterations = 0;
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        iterations = iter + 1;
+        const residuals = points.map(p => p.y - (slope * p.x + intercept));
+
+        // Robust scale estimate; a perfect fit needs no reweighting
+        const scale = medianAbsoluteDeviation(residuals);
+        if (scale === 0) break;
+
+        weights = residuals.map(r => {
+            const u = Math.abs(r) / scale;
+            return u <= k ? 1 : k / u;
+        });
+
+        const next = weightedLinearRegression(points, weights);
+        const change = Math.abs(next.slope - slope) + Math.abs(next.intercept - intercept);
+        slope = next.slope;
+        intercept = next.intercept;
+
+        if (change < tolerance) break;
+    }
+
+    return { slope, intercept, weights, iterations };
+};
+
+/**
+ * Theil–Sen estimator
+ * Slope is the median of all pairwise slopes, intercept the median of y - slope·x
+ * @param {Array} points - Array of {x, y} objects
+ * @returns {Object} slope and intercept
+ */
+export const theilSenRegression = (points) => {
+    const slopes = [];
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            const dx = points[j].x - points[i].x;
+            if (dx !== 0) {
+                slopes.push((points[j].y - points[i].y) / dx);
+            }
+        }
+    }
+
+    if (slopes.length === 0) return { slope: 0, intercept: 0 };
+
+    const slope = median(slopes);
+    const intercept = median(points.map(p => p.y - slope * p.x));
+    return { slope, intercept };
+};
+
+/**
+ * RANSAC (random sample consensus)
+ * Fits lines through pairs of points, keeps the pair with the largest set of
+ * inliers and refits least squares on those inliers. Small datasets try every
+ * pair; larger ones sample `maxTrials` pairs from a seeded generator, so the
+ * same points always give the same line unless another `random` is passed.
+ * @param {Array} points - Array of {x, y} objects
+ * @param {Object} options - { threshold: inlier residual cutoff (default 2.5·MAD
+ *                           of the OLS residuals), maxTrials, random: () => [0, 1) }
+ * @returns {Object} slope, intercept and a boolean inlier mask
+ */
+export const ransacRegression = (points, { threshold, maxTrials = 200, random = createRandom(1) } = {}) => {
+    const n = points.length;
+    if (n < 3) {
+        return { ...calculateLinearRegression(points), inliers: points.map(() => true) };
+    }
+
+    const ols = calculateLinearRegression(points);
+    const cutoff = threshold ?? 2.5 * medianAbsoluteDeviation(
+        points.map(p => p.y - (ols.slope * p.x + ols.intercept))
+    );
+
+    // Candidate pairs: all of them when affordable, otherwise a random sample
+    const pairs = [];
+    if ((n * (n - 1)) / 2 <= maxTrials) {
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) pairs.push([i, j]);
+        }
+    } else {
+        for (let t = 0; t < maxTrials; t++) {
+            const i = Math.floor(random() * n);
+            const j = (i + 1 + Math.floor(random() * (n - 1))) % n;
+            pairs.push([i, j]);
+        }
+    }
+
+    let best = null;
+    pairs.forEach(([i, j]) => {
+        const dx = points[j].x - points[i].x;
+        if (dx === 0) return;
+
+        const slope = (points[j].y - points[i].y) / dx;
+        const intercept = points[i].y - slope * points[i].x;
+        const residuals = points.map(p => Math.abs(p.y - (slope * p.x + intercept)));
+        const inliers = residuals.map(r => r <= cutoff);
+        const count = inliers.filter(Boolean).length;
+        const error = residuals.reduce((acc, r, k) => acc + (inliers[k] ? r ** 2 : 0), 0);
+
+        // Most inliers wins; ties go to the tighter fit
+        if (!best || count > best.count || (count === best.count && error < best.error)) {
+            best = { inliers, count, error };
+        }
+    });
+
+    if (!best || best.count < 2) {
+        return { slope: ols.slope, intercept: ols.intercept, inliers: points.map(() => true) };
+    }
+
+    const refit = calculateLinearRegression(points.filter((_, k) => best.inliers[k]));
+    return { slope: refit.slope, intercept: refit.intercept, inliers: best.inliers };
+};
+
 /**
  * Apply L2 (Ridge) regularization penalty to cost
  * @param {number} baseCost - Original cost (MSE)
@@ -322,13 +775,217 @@ export const lassoRegularization = (baseCost, slope, lambda = 0.1) => {
     return baseCost + lambda * Math.abs(slope);
 };
 
+/**
+ * Center features and target, optionally scaling features to unit variance
+ * Penalized fits work on this scale so the penalty treats features equally
+ * and the intercept is left unpenalized.
+ */
+const prepareForPenalizedFit = (X, y, standardize) => {
+    const n = X.length;
+    const p = n > 0 ? X[0].length : 0;
+
+    const means = Array.from({ length: p }, (_, j) => X.reduce((acc, row) => acc + row[j], 0) / n);
+    const scales = Array.from({ length: p }, (_, j) => {
+        if (!standardize) return 1;
+        const variance = X.reduce((acc, row) => acc + (row[j] - means[j]) ** 2, 0) / n;
+        return variance > 0 ? Math.sqrt(variance) : 1;
+    });
+    const meanY = y.reduce((acc, v) => acc + v, 0) / n;
+
+    const Z = X.map(row => row.map((v, j) => (v - means[j]) / scales[j]));
+    const yc = y.map(v => v - meanY);
+
+    return { Z, yc, means, scales, meanY, n, p };
+};
+
+/**
+ * Map coefficients fitted on the standardized scale back to the original features
+ */
+const unstandardizeCoefficients = (beta, { means, scales, meanY }) => {
+    const coefficients = beta.map((b, j) => b / scales[j]);
+    const intercept = meanY - coefficients.reduce((acc, c, j) => acc + c * means[j], 0);
+    return { intercept, coefficients, standardizedCoefficients: beta };
+};
+
+/**
+ * Ridge regression (L2 penalty), closed form
+ * Minimizes (1/2n)·‖y - Xβ - β₀‖² + (λ/2)·‖β‖², i.e. β = (ZᵀZ + nλI)⁻¹Zᵀy
+ * on centered (and by default standardized) features
+ * @param {Array} X - n×p array of feature rows
+ * @param {Array} y - Target vector
+ * @param {number} lambda - Penalty strength λ ≥ 0
+ * @param {Object} options - { standardize: scale features to unit variance (default true) }
+ * @returns {Object} intercept, coefficients (original scale) and standardizedCoefficients
+ */
+export const ridgeRegression = (X, y, lambda = 1, { standardize = true } = {}) => {
+    if (X.length === 0) {
+        return { intercept: 0, coefficients: [], standardizedCoefficients: [] };
+    }
+
+    const prepared = prepareForPenalizedFit(X, y, standardize);
+    const { Z, yc, n } = prepared;
+
+    const Zt = transpose(Z);
+    const A = matMul(Zt, Z).map((row, i) => row.map((v, j) => v + (i === j ? n * lambda : 0)));
+    const b = matVec(Zt, yc);
+
+    // A is singular only when λ = 0 and features are collinear; fall back to QR then
+    const beta = solveLinearSystem(A, b)
+        ?? fitOLS(Z, yc, { intercept: false }).coefficients;
+
+    return unstandardizeCoefficients(beta, prepared);
+};
+
+/**
+ * Soft-thresholding operator S(z, γ) = sign(z)·max(|z| - γ, 0)
+ */
+const softThreshold = (z, gamma) => {
+    if (z > gamma) return z - gamma;
+    if (z < -gamma) return z + gamma;
+    return 0;
+};
+
+/**
+ * Elastic Net by cyclic coordinate descent
+ * Minimizes (1/2n)·‖y - Xβ - β₀‖² + λ·[(1 - α)/2·‖β‖² + α·‖β‖₁]
+ * α = 1 is the lasso, α = 0 is ridge
+ * @param {Array} X - n×p array of feature rows
+ * @param {Array} y - Target vector
+ * @param {number} lambda - Penalty strength λ ≥ 0
+ * @param {number} alpha - L1/L2 mixing parameter in [0, 1]
+ * @param {Object} options - { standardize, maxIterations, tolerance,
+ *                           warmStart: standardized coefficients to start from }
+ * @returns {Object} intercept, coefficients, standardizedCoefficients and iterations
+ */
+export const elasticNetRegression = (
+    X,
+    y,
+    lambda = 1,
+    alpha = 0.5,
+    { standardize = true, maxIterations = 1000, tolerance = 1e-7, warmStart = null } = {}
+) => {
+    if (X.length === 0) {
+        return { intercept: 0, coefficients: [], standardizedCoefficients: [], iterations: 0 };
+    }
+
+    const prepared = prepareForPenalizedFit(X, y, standardize);
+    const { Z, yc, n, p } = prepared;
+
+    const beta = warmStart ? [...warmStart] : new Array(p).fill(0);
+    const residual = yc.map((v, i) => v - dot(Z[i], beta));
+    const columnNorms = Array.from({ length: p }, (_, j) =>
+        Z.reduce((acc, row) => acc + row[j] ** 2, 0) / n
+    );
+
+    let iterations = 0;
+    for (let iter = 0; iter < maxIterations; iter++) {
+        iterations = iter + 1;
+        let maxChange = 0;
+
+        for (let j = 0; j < p; j++) {
+            if (columnNorms[j] === 0) continue;
+
+            // Correlation of feature j with the partial residual (β_j added back)
+            let rho = 0;
+            for (let i = 0; i < n; i++) {
+                rho += Z[i][j] * (residual[i] + Z[i][j] * beta[j]);
+            }
+            rho /= n;
+
+            const updated = softThreshold(rho, lambda * alpha)
+                / (columnNorms[j] + lambda * (1 - alpha));
+            const delta = updated - beta[j];
+
+            if (delta !== 0) {
+                for (let i = 0; i < n; i++) {
+                    residual[i] -= Z[i][j] * delta;
+                }
+                beta[j] = updated;
+                maxChange = Math.max(maxChange, Math.abs(delta));
+            }
+        }
+
+        if (maxChange < tolerance) break;
+    }
+
+    return { ...unstandardizeCoefficients(beta, prepared), iterations };
+};
+
+/**
+ * Lasso regression (L1 penalty), the α = 1 case of the elastic net
+ * @param {Array} X - n×p array of feature rows
+ * @param {Array} y - Target vector
+ * @param {number} lambda - Penalty strength λ ≥ 0
+ * @param {Object} options - Passed through to elasticNetRegression
+ * @returns {Object} intercept, coefficients, standardizedCoefficients and iterations
+ */
+export const lassoRegression = (X, y, lambda = 1, options = {}) => {
+    return elasticNetRegression(X, y, lambda, 1, options);
+};
+
+/**
+ * Logarithmically spaced values
+ * @param {number} startExponent - log10 of the first value
+ * @param {number} endExponent - log10 of the last value
+ * @param {number} count - Number of values
+ * @returns {Array} 10^start ... 10^end
+ */
+export const logSpace = (startExponent, endExponent, count) => {
+    if (count === 1) return [10 ** startExponent];
+    return Array.from({ length: count }, (_, i) =>
+        10 ** (startExponent + (i / (count - 1)) * (endExponent - startExponent))
+    );
+};
+
+/**
+ * Coefficient path of a penalized fit across a grid of λ values
+ * Coordinate-descent fits are warm-started from the previous (larger) λ,
+ * which is how path algorithms such as glmnet keep this cheap.
+ * @param {Array} X - n×p array of feature rows
+ * @param {Array} y - Target vector
+ * @param {Object} options - { method: 'ridge' | 'lasso' | 'elasticNet',
+ *                           alpha: elastic net mix, lambdas: grid (default
+ *                           50 values from 10⁻³ to 10) }
+ * @returns {Object} lambdas (ascending) and standardized coefficients per λ
+ */
+export const regularizationPath = (
+    X,
+    y,
+    { method = 'lasso', alpha = 0.5, lambdas = logSpace(-3, 1, 50) } = {}
+) => {
+    const ascending = [...lambdas].sort((a, b) => a - b);
+    const coefficients = new Array(ascending.length);
+
+    let warmStart = null;
+    for (let i = ascending.length - 1; i >= 0; i--) {
+        const lambda = ascending[i];
+        let fit;
+
+        if (method === 'ridge') {
+            fit = ridgeRegression(X, y, lambda);
+        } else {
+            const mix = method === 'lasso' ? 1 : alpha;
+            fit = elasticNetRegression(X, y, lambda, mix, { warmStart });
+            warmStart = fit.standardizedCoefficients;
+        }
+
+        coefficients[i] = fit.standardizedCoefficients;
+    }
+
+    return { lambdas: ascending, coefficients };
+};
+
 /**
  * Generate sample datasets for teaching
+ * The same type, n and seed always produce the same points.
  * @param {string} type - Dataset type
  * @param {number} n - Number of points
+ * @param {number} seed - PRNG seed
  * @returns {Array} Generated points
  */
-export const generateSampleDataset = (type = 'linear', n = 20) => {
+export const generateSampleDataset = (type = 'linear', n = 20, seed = 1) => {
+    const random = createRandom(seed);
+    const gaussian = createGaussian(random);
     const points = [];
 
     switch (type) {
@@ -336,7 +993,7 @@ export const generateSampleDataset = (type = 'linear', n = 20) => {
             // Clean linear relationship
             for (let i = 0; i < n; i++) {
                 const x = (i / n) * 10;
-                const y = 2 * x + 3 + (Math.random() - 0.5) * 2;
+                const y = 2 * x + 3 + gaussian(0, 0.6);
                 points.push({ x, y });
             }
             break;
@@ -345,7 +1002,7 @@ export const generateSampleDataset = (type = 'linear', n = 20) => {
             // Linear with high noise
             for (let i = 0; i < n; i++) {
                 const x = (i / n) * 10;
-                const y = 1.5 * x + 5 + (Math.random() - 0.5) * 8;
+                const y = 1.5 * x + 5 + gaussian(0, 2.3);
                 points.push({ x, y });
             }
             break;
@@ -354,10 +1011,10 @@ export const generateSampleDataset = (type = 'linear', n = 20) => {
             // Linear with outliers
             for (let i = 0; i < n; i++) {
                 const x = (i / n) * 10;
-                let y = 2 * x + 3 + (Math.random() - 0.5) * 2;
+                let y = 2 * x + 3 + gaussian(0, 0.6);
                 // Add outliers
                 if (i === 5 || i === 15) {
-                    y += (Math.random() > 0.5 ? 1 : -1) * 15;
+                    y += (random() > 0.5 ? 1 : -1) * 15;
                 }
                 points.push({ x, y });
             }
@@ -366,19 +1023,235 @@ export const generateSampleDataset = (type = 'linear', n = 20) => {
         case 'random':
             // Random scatter (no correlation)
             for (let i = 0; i < n; i++) {
-                const x = Math.random() * 10;
-                const y = Math.random() * 20;
+                const x = random() * 10;
+                const y = random() * 20;
                 points.push({ x, y });
             }
             break;
 
         default:
-            return generateSampleDataset('linear', n);
+            return generateSampleDataset('linear', n, seed);
     }
 
     return points;
 };
 
+/**
+ * Settings of the configurable synthetic generator
+ * x is drawn on [0, 10]; noiseSd is the noise standard deviation at x = 0
+ */
+export const SYNTHETIC_DEFAULTS = {
+    n: 30,
+    slope: 2,
+    intercept: 3,
+    xDistribution: 'uniform', // 'uniform' | 'normal' | 'clustered'
+    noise: 'gaussian', // 'gaussian' | 'laplace' | 'studentT'
+    noiseSd: 1,
+    heteroscedasticity: 0, // noise sd grows by this factor across the x range
+    truth: 'linear', // 'linear' | 'quadratic' | 'sinusoid' | 'exponential'
+    curvature: 1, // strength of the nonlinear term
+    outlierRate: 0, // share of points pushed far off the curve
+};
+
+export const X_DISTRIBUTIONS = ['uniform', 'normal', 'clustered'];
+export const NOISE_DISTRIBUTIONS = ['gaussian', 'laplace', 'studentT'];
+export const TRUE_MODELS = ['linear', 'quadratic', 'sinusoid', 'exponential'];
+
+// Degrees of freedom of the heavy-tailed Student-t noise
+const STUDENT_T_DF = 3;
+
+/**
+ * Fill in defaults and keep every setting in its valid range
+ * @param {Object} options - Partial generator settings
+ * @returns {Object} Complete, valid settings
+ */
+export const normalizeSyntheticOptions = (options = {}) => {
+    const merged = { ...SYNTHETIC_DEFAULTS, ...options };
+    const finite = (key) => (isFinite(merged[key]) ? Number(merged[key]) : SYNTHETIC_DEFAULTS[key]);
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const choice = (key, values) => (values.includes(merged[key]) ? merged[key] : SYNTHETIC_DEFAULTS[key]);
+
+    return {
+        n: clamp(Math.round(finite('n')), 2, 500),
+        slope: finite('slope'),
+        intercept: finite('intercept'),
+        xDistribution: choice('xDistribution', X_DISTRIBUTIONS),
+        noise: choice('noise', NOISE_DISTRIBUTIONS),
+        noiseSd: Math.max(finite('noiseSd'), 0),
+        heteroscedasticity: Math.max(finite('heteroscedasticity'), 0),
+        truth: choice('truth', TRUE_MODELS),
+        curvature: finite('curvature'),
+        outlierRate: clamp(finite('outlierRate'), 0, 1),
+    };
+};
+
+/**
+ * The noise-free function the generator samples from: the line
+ * intercept + slope·x plus an optional nonlinear term
+ * @param {Object} options - Generator settings
+ * @returns {Function} x => true mean of y
+ */
+export const trueModel = (options = {}) => {
+    const { slope, intercept, truth, curvature } = normalizeSyntheticOptions(options);
+    const line = (x) => intercept + slope * x;
+
+    switch (truth) {
+        case 'quadratic':
+            return (x) => line(x) + 0.2 * curvature * (x - 5) ** 2;
+        case 'sinusoid':
+            return (x) => line(x) + 2 * curvature * Math.sin(x);
+        case 'exponential':
+            return (x) => line(x) + 0.2 * curvature * (Math.exp(0.4 * x) - 1);
+        default:
+            return line;
+    }
+};
+
+/**
+ * Configurable synthetic dataset with a known ground truth
+ * Gaussian, Laplace and Student-t noise share the same standard deviation,
+ * so switching between them changes only the tails. The same settings and
+ * seed always produce the same points.
+ * @param {Object} options - Generator settings (see SYNTHETIC_DEFAULTS)
+ * @param {number} seed - PRNG seed
+ * @returns {Object} points sorted by x, and outlierIndices of the injected outliers
+ */
+export const generateSyntheticDataset = (options = {}, seed = 1) => {
+    const settings = normalizeSyntheticOptions(options);
+    const random = createRandom(seed);
+    const gaussian = createGaussian(random);
+    const laplace = createLaplace(random);
+    const studentT = createStudentT(random);
+    const f = trueModel(settings);
+
+    const drawX = () => {
+        switch (settings.xDistribution) {
+            case 'normal':
+                return gaussian(5, 10 / 6);
+            case 'clustered': {
+                const center = [10 / 6, 5, 50 / 6][Math.floor(random() * 3)];
+                return gaussian(center, 0.5);
+            }
+            default:
+                return random() * 10;
+        }
+    };
+
+    // Unit-variance noise of the chosen shape
+    const drawNoise = () => {
+        switch (settings.noise) {
+            case 'laplace':
+                return laplace(0, 1 / Math.SQRT2);
+            case 'studentT':
+                return studentT(STUDENT_T_DF) / Math.sqrt(STUDENT_T_DF / (STUDENT_T_DF - 2));
+            default:
+                return gaussian();
+        }
+    };
+
+    const samples = Array.from({ length: settings.n }, () => {
+        const x = drawX();
+        const sd = settings.noiseSd * (1 + settings.heteroscedasticity * x / 10);
+        let y = f(x) + sd * drawNoise();
+
+        const isOutlier = random() < settings.outlierRate;
+        if (isOutlier) {
+            const shift = Math.max(settings.noiseSd, 0.5) * (6 + 4 * random());
+            y += random() < 0.5 ? -shift : shift;
+        }
+
+        return { x, y, isOutlier };
+    }).sort((a, b) => a.x - b.x);
+
+    return {
+        points: samples.map(({ x, y }) => ({ x, y })),
+        outlierIndices: samples.flatMap((s, i) => (s.isOutlier ? [i] : [])),
+    };
+};
+
+/**
+ * Polynomial regression of y on x: ŷ = θ₀ + θ₁u + θ₂u² + … + θ_d·u^d
+ * x is rescaled to u ∈ [-1, 1] over the training range before expanding,
+ * which keeps the design matrix well conditioned up to degree 15.
+ * @param {Array} points - Training {x, y} points
+ * @param {number} degree - Highest power of x
+ * @returns {Object} degree, coefficients (on u, intercept first), the
+ *                   fitOLS result and predict(x)
+ */
+export const fitPolynomial = (points, degree = 1) => {
+    const xs = points.map(p => p.x);
+    const min = Math.min(...xs);
+    const max = Math.max(...xs);
+    const center = (min + max) / 2;
+    const halfRange = (max - min) / 2 || 1;
+    const rescale = (x) => (x - center) / halfRange;
+
+    const fit = fitOLS(polynomialFeatures(xs.map(rescale), degree), points.map(p => p.y));
+    const predict = (x) => {
+        const u = rescale(x);
+        return fit.coefficients.reduce((acc, c, k) => acc + c * u ** k, 0);
+    };
+
+    return { degree, coefficients: fit.coefficients, fit, predict };
+};
+
+/**
+ * Mean squared error of a prediction function on a set of points
+ */
+const predictionMSE = (points, predict) => (
+    points.reduce((acc, p) => acc + (p.y - predict(p.x)) ** 2, 0) / (points.length || 1)
+);
+
+/**
+ * Training and validation error of polynomial fits of every degree
+ * @param {Array} train - Points the models are fitted on
+ * @param {Array} validation - Held-out points
+ * @param {number} maxDegree - Highest degree to fit
+ * @returns {Array} Per degree: { degree, trainError, validationError }
+ */
+export const polynomialErrorCurve = (train, validation, maxDegree = 15) => {
+    return Array.from({ length: maxDegree }, (_, i) => {
+        const { predict } = fitPolynomial(train, i + 1);
+        return {
+            degree: i + 1,
+            trainError: predictionMSE(train, predict),
+            validationError: predictionMSE(validation, predict),
+        };
+    });
+};
+
+/**
+ * Bias–variance decomposition of polynomial fits by simulation
+ * Every degree is fitted to `replicates` fresh training sets drawn from the
+ * same true model; over a grid of x, bias² = (E[f̂(x)] − f(x))² and
+ * variance = Var[f̂(x)] are averaged. Expected test error is
+ * bias² + variance + σ² (the irreducible noise).
+ * @param {Function} drawSample - seed => training points
+ * @param {Function} truth - x => true mean of y
+ * @param {Array} xs - Grid of x to evaluate on
+ * @param {Object} options - { maxDegree, replicates, seed }
+ * @returns {Array} Per degree: { degree, bias2, variance }
+ */
+export const polynomialBiasVariance = (drawSample, truth, xs, { maxDegree = 15, replicates = 40, seed = 1 } = {}) => {
+    const random = createRandom(seed);
+    const samples = Array.from({ length: replicates }, () => drawSample(Math.floor(random() * 2147483646) + 1));
+
+    return Array.from({ length: maxDegree }, (_, i) => {
+        const predictions = samples.map(points => xs.map(fitPolynomial(points, i + 1).predict));
+
+        let bias2 = 0;
+        let variance = 0;
+        xs.forEach((x, j) => {
+            const values = predictions.map(row => row[j]);
+            const mean = values.reduce((acc, v) => acc + v, 0) / replicates;
+            bias2 += (mean - truth(x)) ** 2;
+            variance += values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / replicates;
+        });
+
+        return { degree: i + 1, bias2: bias2 / xs.length, variance: variance / xs.length };
+    });
+};
+
 /**
  * Format number for display
  * @param {number} value - Number to format
@@ -389,3 +1262,14 @@ export const formatNumber = (value, decimals = 4) => {
     if (typeof value !== 'number' || !isFinite(value)) return '—';
     return value.toFixed(decimals);
 };
+
+/**
+ * Format a p-value for display
+ * @param {number} value - p-value
+ * @returns {string} Formatted p-value, "< 0.001" for very small values
+ */
+export const formatPValue = (value) => {
+    if (typeof value !== 'number' || !isFinite(value)) return '—';
+    if (value < 0.001) return '< 0.001';
+    return value.toFixed(3);
+};
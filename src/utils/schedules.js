@@ -0,0 +1,120 @@
+/**
+ * Learning-Rate Schedules
+ * How the step size α changes from one epoch to the next
+ * - Constant, step decay, exponential decay and 1/t decay
+ * - Cosine annealing, with or without warm restarts
+ * - Linear warmup
+ * A schedule is a function of the epoch (1-based) that returns the
+ * learning rate for every update in that epoch.
+ */
+
+export const SCHEDULES = ['constant', 'step', 'exponential', 'inverse', 'cosine', 'restarts', 'warmup'];
+
+export const scheduleLabels = {
+    constant: 'Constant',
+    step: 'Step decay',
+    exponential: 'Exponential decay',
+    inverse: '1/t decay',
+    cosine: 'Cosine annealing',
+    restarts: 'Warm restarts',
+    warmup: 'Linear warmup',
+};
+
+// Floor of the cosine schedules, as a fraction of the base rate
+const floorSpec = { key: 'floor', label: 'Floor α_min / α', defaultValue: 0, min: 0, max: 1, step: 0.01 };
+
+/**
+ * Parameters of each schedule, with defaults and valid ranges
+ * (lengths are in epochs)
+ */
+export const scheduleParameters = {
+    constant: [],
+    step: [
+        { key: 'every', label: 'Drop every', defaultValue: 25, min: 1, max: 500, step: 1 },
+        { key: 'factor', label: 'Factor γ', defaultValue: 0.5, min: 0.01, max: 1, step: 0.01 },
+    ],
+    exponential: [
+        { key: 'decay', label: 'Decay k', defaultValue: 0.02, min: 0, max: 1, step: 0.001 },
+    ],
+    inverse: [
+        { key: 'decay', label: 'Decay k', defaultValue: 0.05, min: 0, max: 10, step: 0.01 },
+    ],
+    cosine: [floorSpec],
+    restarts: [
+        { key: 'period', label: 'First period', defaultValue: 25, min: 1, max: 500, step: 1 },
+        { key: 'growth', label: 'Period ×', defaultValue: 1, min: 1, max: 4, step: 1 },
+        floorSpec,
+    ],
+    warmup: [
+        { key: 'warmup', label: 'Warmup epochs', defaultValue: 10, min: 1, max: 500, step: 1 },
+    ],
+};
+
+/**
+ * Fill in defaults and keep every parameter in its range
+ * @param {string} type - One of SCHEDULES
+ * @param {Object} parameters - Partial settings
+ * @returns {Object} Complete settings for that schedule
+ */
+export const normalizeScheduleParameters = (type, parameters = {}) => {
+    const specs = scheduleParameters[type] ?? [];
+    return Object.fromEntries(specs.map(({ key, defaultValue, min, max }) => {
+        const value = parameters[key];
+        return [key, typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : defaultValue];
+    }));
+};
+
+// Half a cosine from the base rate down to the floor over `length` epochs
+const anneal = (learningRate, floor, t, length) => {
+    const minimum = floor * learningRate;
+    return minimum + (learningRate - minimum) * (1 + Math.cos(Math.PI * t / length)) / 2;
+};
+
+/**
+ * Create a learning-rate schedule
+ * @param {string} type - One of SCHEDULES
+ * @param {Object} parameters - Settings (see scheduleParameters)
+ * @param {number} learningRate - Base (peak) learning rate α
+ * @param {number} epochs - Total epochs, which cosine annealing spans
+ * @returns {Function} epoch (1-based) → learning rate
+ */
+export const createSchedule = (type = 'constant', parameters = {}, learningRate = 0.01, epochs = 100) => {
+    const settings = normalizeScheduleParameters(type, parameters);
+
+    switch (type) {
+        // α·γ^⌊t / k⌋
+        case 'step':
+            return (epoch) => learningRate * settings.factor ** Math.floor((epoch - 1) / settings.every);
+
+        // α·e^(−kt)
+        case 'exponential':
+            return (epoch) => learningRate * Math.exp(-settings.decay * (epoch - 1));
+
+        // α / (1 + kt)
+        case 'inverse':
+            return (epoch) => learningRate / (1 + settings.decay * (epoch - 1));
+
+        // One half-cosine over the whole run, ending at the floor
+        case 'cosine':
+            return (epoch) => anneal(learningRate, settings.floor, epoch - 1, Math.max(epochs - 1, 1));
+
+        // Restart at the base rate after every period; each period can be longer than the last
+        case 'restarts':
+            return (epoch) => {
+                let t = epoch - 1;
+                let period = settings.period;
+                while (t >= period) {
+                    t -= period;
+                    period *= settings.growth;
+                }
+                return anneal(learningRate, settings.floor, t, period);
+            };
+
+        // Ramp up from α / w to α over the first w epochs, then hold
+        case 'warmup':
+            return (epoch) => learningRate * Math.min(epoch / settings.warmup, 1);
+
+        default:
+            return () => learningRate;
+    }
+};
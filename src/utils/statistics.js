@@ -0,0 +1,228 @@
+/**
+ * Statistical Utilities
+ * Robust summaries plus the normal and Student's t distributions
+ * used for regression inference
+ */
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} Median (NaN for an empty list)
+ */
+export const median = (values) => {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+/**
+ * Median absolute deviation, scaled to estimate σ under normality
+ * @param {Array} values - Numbers
+ * @returns {number} 1.4826 · median(|v - median(v)|)
+ */
+export const medianAbsoluteDeviation = (values) => {
+    const center = median(values);
+    return 1.4826 * median(values.map(v => Math.abs(v - center)));
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} z - Positive argument
+ * @returns {number} ln Γ(z)
+ */
+export const logGamma = (z) => {
+    const g = 7;
+    const c = [
+        0.9999999999998099, 676.5203681218851, -1259.1392167224028,
+        771.3234287776531, -176.61503916999186, 12.507343278686905,
+        -0.13857109526572012, 9.984369578019572e-6, 1.5056327351493116e-7,
+    ];
+
+    if (z < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+    }
+
+    const x = z - 1;
+    let a = c[0];
+    const t = x + g + 0.5;
+    for (let i = 1; i < g + 2; i++) {
+        a += c[i] / (x + i);
+    }
+
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+/**
+ * Continued fraction for the incomplete beta function (Lentz's method)
+ */
+const betaContinuedFraction = (a, b, x) => {
+    const maxIterations = 200;
+    const epsilon = 1e-14;
+    const tiny = 1e-300;
+
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= maxIterations; m++) {
+        const m2 = 2 * m;
+
+        // Even step
+        let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+
+        // Odd step
+        aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+
+        if (Math.abs(delta - 1) < epsilon) break;
+    }
+
+    return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Value in [0, 1]
+ * @param {number} a - Shape parameter a > 0
+ * @param {number} b - Shape parameter b > 0
+ * @returns {number} I_x(a, b)
+ */
+export const regularizedIncompleteBeta = (x, a, b) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const logFront = logGamma(a + b) - logGamma(a) - logGamma(b)
+        + a * Math.log(x) + b * Math.log(1 - x);
+    const front = Math.exp(logFront);
+
+    // Use the symmetry relation where the continued fraction converges fastest
+    if (x < (a + 1) / (a + b + 2)) {
+        return (front * betaContinuedFraction(a, b, x)) / a;
+    }
+    return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z - Standard score
+ * @returns {number} P(Z ≤ z)
+ */
+export const normalCdf = (z) => {
+    // Abramowitz & Stegun 7.1.26 on erf, accurate to ~1e-7
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741
+        + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+/**
+ * Standard normal quantile (inverse CDF)
+ * Acklam's rational approximation, relative error below 1.2e-9
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z ≤ z) = p
+ */
+export const normalQuantile = (p) => {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+        1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+    const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+        6.680131188771972e1, -1.328068155288572e1];
+    const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+        -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+        3.754408661907416];
+
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+            / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        return -normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+        / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Student's t cumulative distribution function
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom (> 0)
+ * @returns {number} P(T ≤ t)
+ */
+export const studentTCdf = (t, df) => {
+    if (!isFinite(t)) return t > 0 ? 1 : 0;
+    const x = df / (df + t * t);
+    const tail = 0.5 * regularizedIncompleteBeta(x, df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Student's t quantile (inverse CDF)
+ * Starts from the normal quantile and refines by bisection
+ * @param {number} p - Probability in (0, 1)
+ * @param {number} df - Degrees of freedom (> 0)
+ * @returns {number} t such that P(T ≤ t) = p
+ */
+export const studentTQuantile = (p, df) => {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -studentTQuantile(1 - p, df);
+
+    // Bracket the root: t quantiles always exceed the normal quantile
+    let lo = normalQuantile(p);
+    let hi = Math.max(lo * 2, 1);
+    while (studentTCdf(hi, df) < p) {
+        lo = hi;
+        hi *= 2;
+    }
+
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (studentTCdf(mid, df) < p) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+        if (hi - lo < 1e-10) break;
+    }
+
+    return (lo + hi) / 2;
+};
+
+/**
+ * Two-sided p-value for a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| ≥ |t|)
+ */
+export const twoSidedPValue = (t, df) => {
+    if (!isFinite(t)) return isNaN(t) ? NaN : 0;
+    // Both tails at once, without the cancellation of 1 - CDF
+    return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
@@ -0,0 +1,174 @@
+/**
+ * Feature Transformations
+ * Invertible transforms applied to a variable before fitting
+ * - Standardize (z-score) and min-max scaling
+ * - Log, square root and Box–Cox (λ by maximum likelihood)
+ * - Polynomial expansion of x
+ * Each fitted transform carries its inverse, so predictions made on the
+ * transformed scale can be mapped back to the original units.
+ */
+
+export const TRANSFORMS = ['none', 'standardize', 'minmax', 'log', 'sqrt', 'boxcox'];
+
+// Transforms that are affine (a·v + c) and keep the model linear in the original units
+export const SCALINGS = ['none', 'standardize', 'minmax'];
+
+export const transformLabels = {
+    none: 'None',
+    standardize: 'Standardize (z-score)',
+    minmax: 'Min-max [0, 1]',
+    log: 'Log',
+    sqrt: 'Square root',
+    boxcox: 'Box–Cox',
+};
+
+/**
+ * Box–Cox transform: (v^λ − 1) / λ, or log v when λ = 0
+ * @param {number} value - Positive value
+ * @param {number} lambda - Power parameter
+ * @returns {number} Transformed value
+ */
+export const boxCox = (value, lambda) => (
+    Math.abs(lambda) < 1e-8 ? Math.log(value) : (value ** lambda - 1) / lambda
+);
+
+/**
+ * Inverse Box–Cox transform
+ * @param {number} value - Transformed value
+ * @param {number} lambda - Power parameter
+ * @returns {number} Original-scale value (NaN outside the transform's range)
+ */
+export const inverseBoxCox = (value, lambda) => (
+    Math.abs(lambda) < 1e-8 ? Math.exp(value) : (lambda * value + 1) ** (1 / lambda)
+);
+
+/**
+ * λ maximizing the Box–Cox profile log-likelihood
+ * ℓ(λ) = −(n/2)·log σ̂²(λ) + (λ − 1)·Σ log vᵢ, searched on a 0.01 grid
+ * @param {Array} values - Positive values
+ * @param {Array} range - [min, max] λ to search
+ * @returns {number} Best λ
+ */
+export const estimateBoxCoxLambda = (values, range = [-2, 2]) => {
+    const n = values.length;
+    const sumLog = values.reduce((acc, v) => acc + Math.log(v), 0);
+    let best = 1;
+    let bestLikelihood = -Infinity;
+
+    for (let step = 0; range[0] + step * 0.01 <= range[1] + 1e-9; step++) {
+        const lambda = Math.round((range[0] + step * 0.01) * 100) / 100;
+        const transformed = values.map(v => boxCox(v, lambda));
+        const mean = transformed.reduce((acc, v) => acc + v, 0) / n;
+        const variance = transformed.reduce((acc, v) => acc + (v - mean) ** 2, 0) / n;
+        const likelihood = -(n / 2) * Math.log(variance) + (lambda - 1) * sumLog;
+
+        if (likelihood > bestLikelihood) {
+            best = lambda;
+            bestLikelihood = likelihood;
+        }
+    }
+
+    return best;
+};
+
+const identity = (value) => value;
+
+/**
+ * Affine transform a·v + c with its inverse
+ */
+const affine = (type, scale, shift, params) => ({
+    type,
+    params,
+    affine: { scale, shift },
+    forward: (value) => scale * value + shift,
+    inverse: (value) => (value - shift) / scale,
+    error: null,
+});
+
+/**
+ * Fit a transform to a variable's values
+ * Parameters (mean, range, λ) are learned from the values; log and
+ * Box–Cox need every value positive and square root non-negative, and
+ * fall back to the identity with an `error` message otherwise.
+ * @param {Array} values - Values of the variable
+ * @param {string} type - One of TRANSFORMS
+ * @returns {Object} { type, params, forward, inverse, affine, error }
+ *                   where affine is { scale, shift } for linear transforms
+ */
+export const fitTransform = (values, type = 'none') => {
+    const none = { type: 'none', params: {}, affine: { scale: 1, shift: 0 }, forward: identity, inverse: identity, error: null };
+    if (values.length === 0) return none;
+
+    switch (type) {
+        case 'standardize': {
+            const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+            const sd = Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length) || 1;
+            return affine(type, 1 / sd, -mean / sd, { mean, sd });
+        }
+        case 'minmax': {
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min || 1;
+            return affine(type, 1 / range, -min / range, { min, max: min + range });
+        }
+        case 'log':
+            if (values.some(v => v <= 0)) return { ...none, error: 'Log needs every value to be positive.' };
+            return { type, params: {}, affine: null, forward: Math.log, inverse: Math.exp, error: null };
+        case 'sqrt':
+            if (values.some(v => v < 0)) return { ...none, error: 'Square root needs non-negative values.' };
+            return { type, params: {}, affine: null, forward: Math.sqrt, inverse: (v) => Math.max(v, 0) ** 2, error: null };
+        case 'boxcox': {
+            if (values.some(v => v <= 0)) return { ...none, error: 'Box–Cox needs every value to be positive.' };
+            const lambda = estimateBoxCoxLambda(values);
+            return {
+                type,
+                params: { lambda },
+                affine: null,
+                forward: (v) => boxCox(v, lambda),
+                inverse: (v) => inverseBoxCox(v, lambda),
+                error: null,
+            };
+        }
+        default:
+            return none;
+    }
+};
+
+/**
+ * Axis or column name of a transformed variable, e.g. "log(y)"
+ * @param {Object} transform - Result of fitTransform
+ * @param {string} name - Variable name
+ * @returns {string} Label
+ */
+export const transformedName = (transform, name) => {
+    switch (transform.type) {
+        case 'standardize': return `z(${name})`;
+        case 'minmax': return `minmax(${name})`;
+        case 'log': return `log(${name})`;
+        case 'sqrt': return `√${name}`;
+        case 'boxcox': return `BoxCox(${name}; λ = ${transform.params.lambda})`;
+        default: return name;
+    }
+};
+
+/**
+ * Slope and intercept in original units for a line fitted on an
+ * affinely scaled x: ŷ = w·(a·x + c) + b = (w·a)·x + (w·c + b)
+ * @param {Object} transform - Result of fitTransform with an affine part
+ * @param {number} slope - Slope on the scaled x
+ * @param {number} intercept - Intercept on the scaled x
+ * @returns {Object} { slope, intercept } on the original x
+ */
+export const unscaleLine = (transform, slope, intercept) => {
+    const { scale, shift } = transform.affine ?? { scale: 1, shift: 0 };
+    return { slope: slope * scale, intercept: slope * shift + intercept };
+};
+
+/**
+ * Polynomial expansion of x
+ * @param {Array} xs - Values of x
+ * @param {number} degree - Highest power
+ * @returns {Array} Feature rows [x, x², …, x^degree]
+ */
+export const polynomialFeatures = (xs, degree) => (
+    xs.map(x => Array.from({ length: degree }, (_, k) => x ** (k + 1)))
+);